@@ -1,6 +1,14 @@
 //@ts-check
 /** @import * as Types from "./types.js" */
+import { isAsyncFunction } from "util/types";
+import { FluxjectError, MissingScopeInputError } from "./errors.js";
+import { poolLifetime } from "./lifetimes.js";
 
+/**
+ * Builder that is passed into the callback of `Container.register` for creating new registrations.
+ * @template {Record<string, Types.Registration<any, any>>} [TRegistrations={}]
+ * All registrations that have been made on the container so far.
+ */
 export class RegistrationBuilder {
 
     /**
@@ -9,60 +17,305 @@ export class RegistrationBuilder {
      * Inferred instantiators from `newRegistrations`
      * @param {TInstantiators} newRegistrations
      * An object containing the new registrations to add, where the values are class constructors or factory functions.
+     * @param {Types.RegistrationOptions<TInstantiators>=} options
+     * Additional options that apply to the new registrations.
      * @returns {{[K in keyof TInstantiators]: Types.Registration<TInstantiators[K], "scoped">}}
      * A new set of registrations with the lifetime of "scoped".
      */
-    scoped(newRegistrations) {
-        /** @type {any} */
-        let registrations = {};
+    scoped(newRegistrations, options) {
+        return createRegistrations("scoped", newRegistrations, options);
+    }
+
+    /**
+     * Register a new set of dependencies with the lifetime of "singleton".
+     * @template {Record<string, Types.Instantiator<any>>} TInstantiators
+     * Inferred instantiators from `newRegistrations`
+     * @param {TInstantiators} newRegistrations
+     * An object containing the new registrations to add, where the values are class constructors or factory functions.
+     * @param {Types.RegistrationOptions<TInstantiators>=} options
+     * Additional options that apply to the new registrations.
+     * @returns {{[K in keyof TInstantiators]: Types.Registration<TInstantiators[K], "singleton">}}
+     * A new set of registrations with the lifetime of "singleton".
+     */
+    singleton(newRegistrations, options) {
+        return createRegistrations("singleton", newRegistrations, options);
+    }
+    
+    /**
+     * Register a new set of dependencies with
+     * 
+     * Transient services are instantiated on every access, so they cannot be awaited. Registering an `async` factory throws a `FluxjectError`, 
+     * as does accessing a Transient service whose factory returns a Promise.
+     * @template {Record<string, Types.Instantiator<any>>} TInstantiators
+     * Inferred instantiators from `newRegistrations`
+     * @param {TInstantiators & Types.Synchronous<TInstantiators>} newRegistrations
+     * An object containing the new registrations to add, where the values are class constructors or (synchronous) factory functions.
+     * @param {Types.RegistrationOptions<TInstantiators>=} options
+     * Additional options that apply to the new registrations.
+     * @returns {{[K in keyof TInstantiators]: Types.Registration<TInstantiators[K], "transient">}}
+     * A new set of registrations with the lifetime of "transient".
+     */
+    transient(newRegistrations, options) {
         for(const key in newRegistrations) {
-            registrations[key] = {
-                lifetime: "scoped",
-                factory: newRegistrations[key]
-            };
+            if(isAsyncFunction(newRegistrations[key])) {
+                throw new FluxjectError(`Cannot register "${key}" as a Transient service, since its factory is asynchronous. (Register it as a Singleton or Scoped service instead)`);
+            }
+        }
+        return createRegistrations("transient", newRegistrations, options);
+    }
+
+    /**
+     * Register a new set of dependencies with a custom lifetime, which decides where their instances are cached and when they are disposed of.
+     * @example
+     * const perTenant = defineLifetime({
+     *   name: "perTenant",
+     *   scoped: true,
+     *   resolve: ({ services, cache, create }) => {
+     *     const tenantId = services.tenant.id;
+     *     if(!cache.has(tenantId)) {
+     *       cache.set(tenantId, create());
+     *     }
+     *     return cache.get(tenantId);
+     *   }
+     * });
+     * container.register(m => m.lifetime(perTenant, { settings: TenantSettings }));
+     * @template {Types.Lifetime} TLifetime
+     * Inferred lifetime from `lifetime`
+     * @template {Record<string, Types.Instantiator<any>>} TInstantiators
+     * Inferred instantiators from `newRegistrations`
+     * @param {TLifetime} lifetime
+     * The custom lifetime of the new registrations. (See `defineLifetime`)
+     * @param {TInstantiators} newRegistrations
+     * An object containing the new registrations to add, where the values are class constructors or factory functions.
+     * @param {Types.RegistrationOptions<TInstantiators>=} options
+     * Additional options that apply to the new registrations.
+     * @returns {{[K in keyof TInstantiators]: Types.Registration<TInstantiators[K], TLifetime extends { scoped: true } ? "scoped" : "transient">}}
+     * A new set of registrations, which are typed as "scoped" if the lifetime is scoped, otherwise "transient".
+     */
+    lifetime(lifetime, newRegistrations, options) {
+        const registrations = createRegistrations(lifetime.scoped ? "scoped" : "transient", newRegistrations, options);
+        for(const key in registrations) {
+            registrations[key].custom = lifetime;
         }
         return registrations;
     }
 
     /**
-     * Register a new set of dependencies with the lifetime of "singleton".
+     * Register a new set of dependencies, where instances are leased from a bounded pool. (e.g., parsers, browser pages or database connections)
+     * 
+     *   - Each scope leases an instance the first time it resolves the service, and returns it to the pool once the scope is disposed of.
+     *   - Instances can be leased explicitly (outside of a scope) with `acquire(provider.service)`.
+     *   - The pool is drained, disposing of every instance, once the Host Service Provider is disposed of.
+     * @example
+     * container.register(m => m.pooled({ connection: Connection }, { min: 2, max: 10, idleTimeout: 30_000 }));
      * @template {Record<string, Types.Instantiator<any>>} TInstantiators
      * Inferred instantiators from `newRegistrations`
-     * @param {TInstantiators} newRegistrations 
+     * @param {TInstantiators} newRegistrations
      * An object containing the new registrations to add, where the values are class constructors or factory functions.
-     * @returns {{[K in keyof TInstantiators]: Types.Registration<TInstantiators[K], "singleton">}}
+     * @param {Types.PoolOptions & Types.RegistrationOptions<TInstantiators>=} options
+     * Options for the pool of each service, along with additional options that apply to the new registrations.
+     * @returns {{[K in keyof TInstantiators]: Types.Registration<TInstantiators[K], "transient">}}
+     * A new set of registrations, where each registration has its own pool.
+     */
+    pooled(newRegistrations, options) {
+        return this.lifetime(poolLifetime({ min: options?.min, max: options?.max, idleTimeout: options?.idleTimeout, onError: options?.onError }), newRegistrations, options);
+    }
+
+    /**
+     * Register a set of existing instances or constants, which are provided as-is.
+     * 
+     * These instances are owned outside of the container, so they are never disposed of by the container.
+     * (Their `Symbol.dispose` and `Symbol.asyncDispose` methods are never invoked)
+     * @example
+     * container.register(m => m.value({ config: { port: 8080 }, httpClient: axios.create() }));
+     * @template {Record<string, any>} TValues
+     * Inferred instances from `values`
+     * @param {TValues} values 
+     * An object containing the instances to register.
+     * @returns {{[K in keyof TValues]: Types.Registration<() => TValues[K], "singleton">}}
      * A new set of registrations with the lifetime of "singleton".
      */
-    singleton(newRegistrations) {
+    value(values) {
         /** @type {any} */
         let registrations = {};
-        for(const key in newRegistrations) {
+        for(const key in values) {
+            const value = values[key];
             registrations[key] = {
                 lifetime: "singleton",
-                factory: newRegistrations[key]
+                factory: () => value,
+                external: true
             };
         }
         return registrations;
     }
-    
+
     /**
-     * Register a new set of dependencies with
-     * @template {Record<string, Types.Instantiator<any>>} TInstantiators
-     * Inferred instantiators from `newRegistrations`
-     * @param {TInstantiators} newRegistrations 
-     * An object containing the new registrations to add, where the values are class constructors or factory functions.
-     * @returns {{[K in keyof TInstantiators]: Types.Registration<TInstantiators[K], "transient">}}
-     * A new set of registrations with the lifetime of "transient".
+     * Declare a set of scope inputs, which are values that are supplied to every scope with `createScope(inputs)` and injected as Scoped services.
+     * 
+     * Resolving a scope input from a scope that it was not supplied to throws a `MissingScopeInputError`.  
+     * Scope inputs are owned by the caller of `createScope`, so they are never disposed of by the container.
+     * @example
+     * container.register(m => m.scopeInput<{ request: Request, user: User }>(["request", "user"]));
+     * 
+     * const scope = provider.createScope({ request, user });
+     * @template {Record<string, any>} TInputs
+     * Types of the scope inputs.
+     * @param {(keyof TInputs & string)[]} names 
+     * Names of the scope inputs.
+     * @returns {{[K in keyof TInputs]: Types.Registration<() => TInputs[K], "scoped"> & { scopeInput: true }}}
+     * A new set of registrations with the lifetime of "scoped".
      */
-    transient(newRegistrations) {
+    scopeInput(names) {
         /** @type {any} */
         let registrations = {};
-        for(const key in newRegistrations) {
+        for(const name of names) {
+            registrations[name] = {
+                lifetime: "scoped",
+                factory: () => {
+                    throw new MissingScopeInputError(name);
+                },
+                scopeInput: true
+            };
+        }
+        return registrations;
+    }
+
+    /**
+     * Register a set of collections, where each collection is injected as an ordered array of lazily instantiated services.
+     * 
+     * Registering a collection under a name that is already registered as a collection appends to the existing collection.  
+     * Each element keeps its own lifetime, so collections that contain a Scoped element are only available from a scope.
+     * @example
+     * container
+     *   .register(m => m.collection({ handlers: [CreatedHandler, UpdatedHandler] }))
+     *   .register(m => m.collection({ handlers: [AuditHandler] }, { lifetime: "scoped" }));
+     * 
+     * scope.handlers.forEach(handler => handler.handle(event));
+     * @template {Record<string, Types.Instantiator<any>[]>} TCollections
+     * Inferred instantiators from `collections`
+     * @template {"scoped"|"singleton"|"transient"} [TLifetime="singleton"]
+     * Lifetime of every element in `collections`.
+     * @param {TCollections} collections 
+     * An object containing the collections to add, where the values are arrays of class constructors or factory functions.
+     * @param {{ lifetime?: TLifetime }=} options
+     * Additional options that apply to the new collections.
+     * @returns {{[K in keyof TCollections]: Types.Registration<() => ReadonlyArray<Types.Resolved<TCollections[K][number]>>, TLifetime extends "scoped" ? "scoped" : "singleton">}}
+     * A new set of registrations, which are only available from a scope if `lifetime` is "scoped".
+     */
+    collection(collections, options) {
+        const lifetime = options?.lifetime ?? "singleton";
+        /** @type {any} */
+        let registrations = {};
+        for(const key in collections) {
             registrations[key] = {
-                lifetime: "transient",
-                factory: newRegistrations[key]
+                lifetime: lifetime === "scoped" ? "scoped" : "singleton",
+                factory: () => [],
+                collection: collections[key].map(factory => ({ lifetime, factory }))
             };
         }
         return registrations;
     }
+
+    /**
+     * Layer one or more decorators over existing registrations, where the decorated instance is what every dependent receives.
+     * 
+     * Decorators are applied in the order they were registered, and each receives the instance returned from the previous decorator.  
+     * When the service is disposed of, the decorated instance is disposed of first, followed by each inner instance.
+     * @example
+     * container
+     *   .register(m => m.scoped({ repository: Repository }))
+     *   .register(m => m.decorate({ repository: (inner, services) => new CachingRepository(inner) }));
+     * @template {{[K in keyof Types.InferInstanceTypes<TRegistrations>]?: Types.Decorator<Types.InferInstanceTypes<TRegistrations>[K]>|Types.Decorator<Types.InferInstanceTypes<TRegistrations>[K]>[]}} TDecorators
+     * Inferred decorators from `decorators`
+     * @param {TDecorators} decorators 
+     * An object containing the decorators (or arrays of decorators) to layer over the registrations of the same name.
+     * @returns {{}}
+     * Decorations that are applied to the existing registrations when returned from the `register` callback.
+     */
+    decorate(decorators) {
+        /** @type {any} */
+        let decorations = {};
+        for(const key in decorators) {
+            const decorator = /** @type {Types.Decorator<any>|Types.Decorator<any>[]} */ (decorators[key]);
+            decorations[key] = {
+                decorates: Array.isArray(decorator) ? decorator : [decorator]
+            };
+        }
+        return decorations;
+    }
+
+    /**
+     * Mark a set of registrations as intentionally replacing existing registrations of the same name.
+     * 
+     * This is required to replace a registration on a strict container (`fluxject({ strict: true })`).
+     * @example
+     * container.register(m => m.replace(m.singleton({ logger: ConsoleLogger })));
+     * @template {Record<string, Types.Registration<any, any>>} TRegistrations
+     * Inferred registrations from `registrations`
+     * @param {TRegistrations} registrations 
+     * Registrations made with any of the other methods on this builder.
+     * @returns {TRegistrations}
+     * The same registrations, marked as replacements.
+     */
+    replace(registrations) {
+        /** @type {any} */
+        let replacements = {};
+        for(const key in registrations) {
+            replacements[key] = {
+                ...registrations[key],
+                replaces: true
+            };
+        }
+        return replacements;
+    }
+}
+
+/**
+ * Create the registrations for `newRegistrations` with the given `lifetime`.
+ * @param {"scoped"|"singleton"|"transient"} lifetime
+ * Lifetime of the new registrations.
+ * @param {Record<string, Types.Instantiator<any>>} newRegistrations
+ * An object containing the new registrations to add, where the values are class constructors or factory functions.
+ * @param {Types.RegistrationOptions<any>=} options
+ * Additional options that apply to the new registrations.
+ * @returns {any}
+ */
+function createRegistrations(lifetime, newRegistrations, options = {}) {
+    /** @type {Record<string, Types.Registration<any,any>>} */
+    let registrations = {};
+    for(const key in newRegistrations) {
+        registrations[key] = {
+            lifetime,
+            factory: newRegistrations[key]
+        };
+        const dependencies = options.dependencies?.[key];
+        if(dependencies !== undefined) {
+            registrations[key].dependencies = [...dependencies];
+        }
+        const eager = typeof options.eager === "boolean" ? options.eager : options.eager?.[key];
+        if(eager) {
+            registrations[key].eager = true;
+        }
+        const innermost = typeof options.innermost === "boolean" ? options.innermost : options.innermost?.[key];
+        if(innermost) {
+            registrations[key].innermost = true;
+        }
+        const direct = typeof options.direct === "boolean" ? options.direct : options.direct?.[key];
+        if(direct !== undefined) {
+            registrations[key].direct = direct;
+        }
+        const transientMode = typeof options.transientMode === "string" ? options.transientMode : options.transientMode?.[key];
+        if(transientMode !== undefined) {
+            registrations[key].transientMode = transientMode;
+        }
+        const onActivated = options.onActivated?.[key];
+        if(onActivated !== undefined) {
+            registrations[key].onActivated = onActivated;
+        }
+        const onDisposing = options.onDisposing?.[key];
+        if(onDisposing !== undefined) {
+            registrations[key].onDisposing = onDisposing;
+        }
+    }
+    return registrations;
 }
\ No newline at end of file
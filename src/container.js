@@ -1,7 +1,12 @@
 //@ts-check
 /** @import * as Types from "./types.js" */
 import { RegistrationBuilder } from "./builder.js";
-import { FluxjectHostServiceProvider } from "./provider.js";
+import { FluxjectHostServiceProvider, restrictedMembers } from "./provider.js";
+import { LazyReference } from "./lazy-reference.js";
+import { dependencyOrder, validateRegistrations } from "./validation.js";
+import { describeRegistrations } from "./graph.js";
+import { ContainerValidationError, DuplicateRegistrationError, FluxjectError } from "./errors.js";
+import { prefixName, registrationSite, selects } from "./util.js";
 
 /**
  * Container that manages registrations of dependencies.
@@ -10,47 +15,379 @@ import { FluxjectHostServiceProvider } from "./provider.js";
  */
 export class Container {
     #registrations;
+    #options;
 
     /**
      * Create a new container for managing dependencies. (Alias of `fluxject()`)
+     * @param {Types.ContainerOptions=} options
+     * Options that apply to every registration made on the container.
      * @returns {Container<{}>}
      */
-    static create() {
-        return new Container({});
+    static create(options = {}) {
+        return new Container({}, options);
     }
 
     /**
      * @protected
      * @param {TRegistrations} registrations 
+     * @param {Types.ContainerOptions} options
      */
-    constructor(registrations) {
+    constructor(registrations, options) {
         this.#registrations = registrations;
+        this.#options = options;
     }
 
     /**
      * Register a new set of dependencies to the container 
      * @template {Record<string, Types.Registration<any, any>>} TNewRegistrations
      * The new registrations as inferred from the return type of the callback.
-     * @param {(serviceBuilder: RegistrationBuilder) => TNewRegistrations} callback
+     * @param {(serviceBuilder: RegistrationBuilder<TRegistrations>) => TNewRegistrations} callback
      * The callback that will be used to register new services.
-     * @returns {Container<TRegistrations & TNewRegistrations>}
+     * @returns {Container<Types.Merge<TRegistrations, TNewRegistrations>>}
      * A new container with the new registrations added.
      */
     register(callback) {
         const registrations = callback(new RegistrationBuilder());
+        const site = this.#options.strict ? registrationSite(this.register) : undefined;
+
+        /** @type {Record<string, Types.Registration<any,any>>} */
+        const newRegistrations = {};
+        for(const name in registrations) {
+            checkName(name);
+            let { replaces, ...registration } = registrations[name];
+            const existingRegistration = this.#registrations[name];
+            if(replaces && existingRegistration === undefined) {
+                throw new FluxjectError(`Cannot replace "${name}", since it is not registered.`);
+            }
+            // Decorators are layered over the existing registration of the same name.
+            if(registration.decorates) {
+                if(existingRegistration === undefined) {
+                    throw new FluxjectError(`Cannot decorate "${name}", since it is not registered.`);
+                }
+                if(existingRegistration.external || existingRegistration.collection) {
+                    throw new FluxjectError(`Cannot decorate "${name}", since values and collections cannot be decorated.`);
+                }
+                newRegistrations[name] = {
+                    ...existingRegistration,
+                    decorators: [...(existingRegistration.decorators ?? []), ...registration.decorates]
+                };
+                continue;
+            }
+            // Collections registered under the name of an existing collection are appended to the existing collection.
+            if(!replaces && registration.collection && existingRegistration?.collection) {
+                registration = {
+                    ...registration,
+                    lifetime: registration.lifetime === "scoped" ? "scoped" : existingRegistration.lifetime,
+                    collection: [...existingRegistration.collection, ...registration.collection]
+                };
+            }
+            else if(this.#options.strict && !replaces && existingRegistration !== undefined) {
+                throw new DuplicateRegistrationError(name, existingRegistration.site, site);
+            }
+            newRegistrations[name] = site === undefined ? registration : { ...registration, site };
+        }
         
-        return new Container({
+        return new Container(/** @type {any} */ ({
+            ...this.#registrations,
+            ...newRegistrations
+        }), this.#options);
+    }
+
+
+    /**
+     * Include all registrations from another container, so containers can be built as independent modules and composed together.
+     * 
+     * The interceptors, container-wide lifecycle hooks and Transient mode of the included container are carried over, but only apply to 
+     * the services it included. Its other options (`captiveDependencies`, `disposal`, `strict` and `proxies`) apply to a provider as a whole, 
+     * so the options of this container are used instead.
+     * @example
+     * const auth = fluxject()
+     *   .register(m => m.singleton({ users: UserStore, tokens: TokenService }));
+     * 
+     * const container = fluxject()
+     *   .register(m => m.singleton({ database: Database }))
+     *   .include(auth, { prefix: "auth" });
+     * 
+     * const provider = container.prepare();
+     * provider.authUsers; // `TokenService` is still injected with `{ users }`
+     * @template {Record<string, Types.Registration<any, any>>} TIncludedRegistrations
+     * The registrations of the container being included.
+     * @template {string} [TPrefix=""]
+     * The prefix that is added to the name of each included registration.
+     * @param {Container<TIncludedRegistrations>} container
+     * The container to include the registrations of.
+     * @param {Types.IncludeOptions<TPrefix>=} options
+     * Options for namespacing the included registrations and resolving conflicts.
+     * @returns {Container<Types.Merge<TRegistrations, Types.Prefixed<TIncludedRegistrations, TPrefix>>>}
+     * A new container with the included registrations added.
+     */
+    include(container, options = {}) {
+        const prefix = options.prefix ?? "";
+        const conflicts = options.conflicts ?? "error";
+        const names = new Set(Object.keys(container.#registrations));
+
+        /** @type {Record<string, Types.Registration<any,any>>} */
+        const registrations = {};
+        /** @type {string[]} */
+        const conflictingNames = [];
+        /**
+         * Un-prefixed name of every registration that was included, by its prefixed name.
+         * @type {Map<string, string>}
+         */
+        const includedNames = new Map();
+        const { onActivated, onDisposing, transientMode, interceptors = [] } = container.#options;
+        for(const name of names) {
+            const prefixedName = prefixName(prefix, name);
+            if(prefixedName in this.#registrations) {
+                conflictingNames.push(prefixedName);
+                if(conflicts === "keep") {
+                    continue;
+                }
+            }
+            includedNames.set(prefixedName, name);
+            let registration = container.#registrations[name];
+            // The container-wide hooks and Transient mode of the included container only apply to the services it included.
+            if(onActivated || onDisposing) {
+                registration = { ...registration, includedHooks: [...(registration.includedHooks ?? []), { onActivated, onDisposing }] };
+            }
+            if(transientMode !== undefined && registration.lifetime === "transient" && registration.transientMode === undefined) {
+                registration = { ...registration, transientMode };
+            }
+            if(prefix === "") {
+                registrations[prefixedName] = registration;
+                continue;
+            }
+            // Included services are still injected with the un-prefixed names of the services they were included with.
+            const namespacedRegistration = {
+                ...registration,
+                namespaces: [{ prefix, names }, ...(registration.namespaces ?? [])]
+            };
+            if(registration.dependencies !== undefined) {
+                namespacedRegistration.dependencies = registration.dependencies
+                    .map(dependency => names.has(dependency) ? prefixName(prefix, dependency) : dependency);
+            }
+            registrations[prefixedName] = namespacedRegistration;
+        }
+
+        if(conflicts === "error" && conflictingNames.length > 0) {
+            throw new FluxjectError(`Cannot include registrations that are already registered: ${conflictingNames.join(", ")}. (Use the "conflicts" option to override or keep them instead)`);
+        }
+
+        // The interceptors of the included container only select the services it included, by their un-prefixed names.
+        /** @type {Types.InterceptorRegistration[]} */
+        const includedInterceptors = interceptors.map(({ selector, interceptor }) => ({
+            selector: (/** @type {string} */ name) => {
+                const includedName = includedNames.get(name);
+                return includedName !== undefined && selects(selector, includedName);
+            },
+            interceptor
+        }));
+        return new Container(/** @type {any} */ ({
             ...this.#registrations,
             ...registrations
+        }), includedInterceptors.length === 0 ? this.#options : {
+            ...this.#options,
+            interceptors: [...(this.#options.interceptors ?? []), ...includedInterceptors]
         });
     }
 
+    /**
+     * Apply a module to this container, where a module is a function that registers a set of services on a container.
+     * @example
+     * const authModule = container => container
+     *   .register(m => m.singleton({ users: UserStore, tokens: TokenService }));
+     * 
+     * const container = fluxject()
+     *   .use(authModule);
+     * @template {Record<string, Types.Registration<any, any>>} TNewRegistrations
+     * The registrations of the container returned from the module.
+     * @param {(container: Container<TRegistrations>) => Container<TNewRegistrations>} module
+     * The module to apply.
+     * @returns {Container<TNewRegistrations>}
+     * The container returned from the module.
+     */
+    use(module) {
+        return module(this);
+    }
+
+    /**
+     * Replace a set of existing registrations on the container, while every other registration is left untouched.
+     * 
+     * This is most useful for swapping a service out for a mock in tests. Services that depend on a replaced service
+     * will have the replacement injected instead.
+     * @example
+     * const provider = container
+     *   .override(m => m.singleton({ database: InMemoryDatabase }))
+     *   .prepare();
+     * @template {Types.Overrides<TRegistrations>} TOverrides
+     * The replacement registrations as inferred from the return type of the callback.
+     * @param {(serviceBuilder: RegistrationBuilder) => TOverrides} callback
+     * The callback that will be used to register the replacements. Each replacement must resolve to a type that is assignable to the original.
+     * @returns {Container<TRegistrations>}
+     * A new container with the replacements made.
+     */
+    override(callback) {
+        const overrides = callback(new RegistrationBuilder());
+        for(const key in overrides) {
+            if(!(key in this.#registrations)) {
+                throw new FluxjectError(`Cannot override "${key}", since it is not registered.`);
+            }
+        }
+
+        return new Container(/** @type {TRegistrations} */ ({
+            ...this.#registrations,
+            ...overrides
+        }), this.#options);
+    }
+
+    /**
+     * Intercept every method that is invoked on the selected services, which allows cross-cutting concerns (e.g., logging, timing, 
+     * authorization or tracing) to be added without modifying the services.
+     * 
+     * Interceptors are invoked in the order they were registered, so the first interceptor is the outermost.  
+     * Values registered with `m.value(...)` are provided as-is, so they cannot be intercepted.
+     * @example
+     * const container = fluxject()
+     *   .register(m => m.scoped({ userRepository: UserRepository, orderRepository: OrderRepository }))
+     *   .intercept(/Repository$/, async ({ service, method, proceed }) => {
+     *     const start = performance.now();
+     *     try {
+     *       return await proceed();
+     *     }
+     *     finally {
+     *       console.log(`${service}.${method} took ${performance.now() - start}ms`);
+     *     }
+     *   });
+     * @param {Types.ServiceSelector<Extract<keyof TRegistrations, string>>} selector
+     * The services to intercept: a single name, an array of names, a pattern the names are tested against, or a predicate.
+     * @param {Types.Interceptor} interceptor
+     * The function that is invoked in place of each method. Invoke `proceed` to continue on to the method.
+     * @returns {Container<TRegistrations>}
+     * A new container with the interceptor added.
+     */
+    intercept(selector, interceptor) {
+        return new Container(this.#registrations, {
+            ...this.#options,
+            interceptors: [...(this.#options.interceptors ?? []), { selector, interceptor }]
+        });
+    }
+
+    /**
+     * Validate the declared dependencies of every registration on this container, without instantiating any services.
+     * 
+     * Dependencies are declared with the `dependencies` option when registering services. Registrations that did not declare 
+     * their dependencies are not validated.
+     * @example
+     * const container = fluxject()
+     *   .register(m => m.singleton({ database: Database }))
+     *   .register(m => m.scoped({ repository: Repository }, { dependencies: { repository: ["database"] } }));
+     * 
+     * expect(container.validate()).toEqual([]);
+     * @returns {Types.ValidationProblem[]}
+     * All missing registrations, cycles and lifetime violations that were found, or an empty array if the container is valid.
+     */
+    validate() {
+        return validateRegistrations(this.#registrations);
+    }
+
+    /**
+     * Describe every registration on this container, without instantiating any services.
+     * @example
+     * const container = fluxject()
+     *   .register(m => m.singleton({ database: Database }));
+     * 
+     * expect(container.describe()).toEqual([{ name: "database", lifetime: "singleton", kind: "class", dependencies: [] }]);
+     * @returns {Types.ServiceDescription[]}
+     * The name, lifetime, factory kind and declared dependencies of each registration, in the order they were registered.
+     */
+    describe() {
+        return describeRegistrations(this.#registrations);
+    }
 
     /**
      * Prepare the container for consumption.
+     * 
+     * Singleton services that are eager (registered with `eager` or named in `options.eager`) are instantiated immediately, 
+     * where every eager service is instantiated after the eager services it declared it depends on. If any of them throw, then 
+     * the provider is disposed of and the error is rethrown.
+     * @param {Types.PrepareOptions<Extract<keyof Types.InferInstanceTypes<TRegistrations, "singleton">, string>>=} options
+     * Options for preparing the container.
      * @returns {Types.Widen<FluxjectHostServiceProvider<TRegistrations> & Types.InferInstanceTypes<TRegistrations, "singleton"|"transient">>}
      */
-    prepare() {
-        return /** @type {any} */ (new FluxjectHostServiceProvider(this.#registrations));
+    prepare(options) {
+        if(options?.validate) {
+            const problems = this.validate();
+            if(problems.length > 0) {
+                throw new ContainerValidationError(problems);
+            }
+        }
+
+        const eager = Object.keys(this.#registrations).filter(name => this.#registrations[name].eager);
+        for(const name of /** @type {string[]} */ (options?.eager ?? [])) {
+            if(this.#registrations[name] === undefined) {
+                throw new FluxjectError(`Cannot eagerly instantiate "${name}", since it is not registered.`);
+            }
+            if(!eager.includes(name)) {
+                eager.push(name);
+            }
+        }
+        for(const name of eager) {
+            const lifetime = this.#registrations[name].lifetime;
+            if(lifetime !== "singleton") {
+                throw new FluxjectError(`Cannot eagerly instantiate "${name}", since only Singleton services can be instantiated eagerly. (It is ${lifetime})`);
+            }
+        }
+
+        const providerOptions = options?.proxies === undefined ? this.#options : { ...this.#options, proxies: options.proxies };
+        const provider = /** @type {any} */ (new FluxjectHostServiceProvider(this.#registrations, providerOptions));
+        try {
+            for(const name of dependencyOrder(this.#registrations, eager)) {
+                // Services that are provided directly are instantiated by the provider's getter.
+                const service = provider[name];
+                if(LazyReference.isLazyReference(service)) {
+                    LazyReference.instantiate(service);
+                }
+            }
+        }
+        catch(err) {
+            // The instantiation error is rethrown, even if any of the instantiated services fail to be disposed of.
+            Promise.resolve().then(() => provider.dispose()).catch(() => {});
+            throw err;
+        }
+        return provider;
+    }
+
+    /**
+     * Prepare the container for consumption, waiting for all asynchronous Singleton services to resolve.
+     * 
+     * This is the same as calling `prepare()` followed by `initialize()` on the returned provider, except that if any of the asynchronous 
+     * Singleton services fail to resolve, then the provider is disposed of and the error is rethrown.
+     * @param {Types.PrepareOptions<Extract<keyof Types.InferInstanceTypes<TRegistrations, "singleton">, string>> & Types.InitializeOptions<keyof Types.InferInstanceTypes<TRegistrations, "singleton">>=} options
+     * Options for preparing the container and awaiting the asynchronous Singleton services.
+     * @returns {Promise<ReturnType<Container<TRegistrations>['prepare']>>}
+     */
+    async prepareAsync(options) {
+        /** @type {FluxjectHostServiceProvider<TRegistrations>} */
+        const provider = /** @type {any} */ (this.prepare(options));
+        try {
+            await provider.initialize(options);
+        }
+        catch(err) {
+            // The initialization error is rethrown, even if any of the resolved services fail to be disposed of.
+            await Promise.resolve().then(() => provider.dispose()).catch(() => {});
+            throw err;
+        }
+        return /** @type {any} */ (provider);
+    }
+}
+
+/**
+ * Check that a service can be registered under `name`, throwing a `FluxjectError` if it is the name of a member of the service providers.
+ * @param {string} name
+ * Name of the service being registered.
+ */
+function checkName(name) {
+    if(restrictedMembers.includes(name)) {
+        throw new FluxjectError(`Cannot register "${name}", since it is the name of a member of the service provider. (Reserved names: ${restrictedMembers.join(", ")})`);
     }
 }
\ No newline at end of file
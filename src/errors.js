@@ -1,4 +1,5 @@
 //@ts-check
+/** @import * as Types from "./types.js" */
 /**
  * Thrown when a circular dependency is detected.  
  * 
@@ -62,3 +63,147 @@ export class FluxjectError extends Error {
         this.name = "FluxjectError";
     }
 }
+
+
+/**
+ * Thrown when an asynchronous factory does not resolve within the timeout that was given to `initialize()`.
+ */
+export class AsyncFactoryTimeoutError extends FluxjectError {
+    /**
+     * @param {string} serviceName 
+     * @param {number} timeout
+     */
+    constructor(serviceName, timeout) {
+        super(`Asynchronous factory for "${serviceName}" did not resolve within ${timeout}ms.`);
+        this.name = "AsyncFactoryTimeoutError";
+        this.serviceName = serviceName;
+        this.timeout = timeout;
+    }
+}
+
+/**
+ * Thrown when a container is prepared with `validate` enabled and problems were found with its registrations.
+ */
+export class ContainerValidationError extends FluxjectError {
+    /**
+     * @param {Types.ValidationProblem[]} problems 
+     */
+    constructor(problems) {
+        super(`Container has ${problems.length} invalid registration(s):\n${problems.map(problem => `  - ${problem.message}`).join("\n")}`);
+        this.name = "ContainerValidationError";
+        this.problems = problems;
+    }
+}
+
+/**
+ * Thrown when a service resolves another service with a shorter lifetime while it is being instantiated. 
+ * 
+ * The shorter-lived service would be captured by the longer-lived service, outliving its intended lifetime.
+ * (e.g., A Singleton service holding on to a Scoped service from a scope that was passed around)
+ */
+export class CaptiveDependencyError extends FluxjectError {
+    /**
+     * @param {string} serviceName 
+     * @param {string} lifetime
+     * @param {string} dependencyName
+     * @param {string} dependencyLifetime
+     */
+    constructor(serviceName, lifetime, dependencyName, dependencyLifetime) {
+        super(`The ${lifetime} service "${serviceName}" cannot resolve the ${dependencyLifetime} service "${dependencyName}", since it would be captured beyond its lifetime.`);
+        this.name = "CaptiveDependencyError";
+        this.serviceName = serviceName;
+        this.lifetime = lifetime;
+        this.dependencyName = dependencyName;
+        this.dependencyLifetime = dependencyLifetime;
+    }
+}
+
+
+/**
+ * Thrown when a service is registered on a strict container under a name that is already registered.
+ * 
+ * Use `m.replace(...)` to intentionally replace an existing registration.
+ */
+export class DuplicateRegistrationError extends FluxjectError {
+    /**
+     * @param {string} serviceName 
+     * @param {string=} existingSite
+     * @param {string=} site
+     */
+    constructor(serviceName, existingSite, site) {
+        super(`Service "${serviceName}" is already registered (at ${existingSite ?? "unknown"}) and was registered again (at ${site ?? "unknown"}). Use "m.replace(...)" to intentionally replace it.`);
+        this.name = "DuplicateRegistrationError";
+        this.serviceName = serviceName;
+        this.existingSite = existingSite;
+        this.site = site;
+    }
+}
+
+/**
+ * Thrown when a scope input (declared with `m.scopeInput(...)`) is resolved from a scope that it was not supplied to.
+ */
+export class MissingScopeInputError extends FluxjectError {
+    /**
+     * @param {string} inputName 
+     * @param {string=} serviceName
+     * Name of the service that needed the scope input, if it was resolved by a service.
+     */
+    constructor(inputName, serviceName) {
+        const neededBy = serviceName === undefined ? "" : `, but the service "${serviceName}" depends on it`;
+        super(`Scope input "${inputName}" was not supplied to the scope${neededBy}. (Supply it with "createScope({ ${inputName} })")`);
+        this.name = "MissingScopeInputError";
+        this.inputName = inputName;
+        this.serviceName = serviceName;
+    }
+}
+
+/**
+ * Thrown when an instance is leased from a pool that already has its maximum number of instances leased.
+ */
+export class PoolExhaustedError extends FluxjectError {
+    /**
+     * @param {string} serviceName 
+     * @param {number} max
+     */
+    constructor(serviceName, max) {
+        super(`Cannot lease "${serviceName}", since all ${max} instances of its pool are leased. (Release an instance or increase "max")`);
+        this.name = "PoolExhaustedError";
+        this.serviceName = serviceName;
+        this.max = max;
+    }
+}
+
+/**
+ * Thrown when an asynchronous dispose does not settle within the timeout that was given to `dispose()`.
+ */
+export class DisposalTimeoutError extends FluxjectError {
+    /**
+     * @param {string} serviceName 
+     * @param {number} timeout
+     */
+    constructor(serviceName, timeout) {
+        super(`Asynchronous dispose for "${serviceName}" did not settle within ${timeout}ms.`);
+        this.name = "DisposalTimeoutError";
+        this.serviceName = serviceName;
+        this.timeout = timeout;
+    }
+}
+
+/**
+ * Thrown from `dispose()` once every service has been disposed of, if any of the services failed to be disposed of.
+ * 
+ * Disposal continues past each failure, so every other service is still disposed of.
+ */
+export class DisposalError extends AggregateError {
+    /**
+     * @param {Types.DisposalFailure[]} failures 
+     */
+    constructor(failures) {
+        super(
+            failures.map(failure => failure.error), 
+            `Failed to dispose of ${failures.length} service(s):\n${failures.map(failure => `  - ${failure.service} (${failure.lifetime}): ${failure.error instanceof Error ? failure.error.message : String(failure.error)}`).join("\n")}`
+        );
+        this.name = "DisposalError";
+        this.failures = failures;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,129 @@
+//@ts-check
+/** @import * as Types from "./types.js" */
+import { isConstructor } from "./util.js";
+
+/**
+ * Describe every registration in `registrations`, without instantiating any services.
+ * @param {Record<string, Types.Registration<any,any>>} registrations
+ * Registrations to describe.
+ * @returns {Types.ServiceDescription[]}
+ * A description of each registration, in the order they were registered.
+ */
+export function describeRegistrations(registrations) {
+    return Object.entries(registrations).map(([name, registration]) => ({
+        name,
+        lifetime: registration.custom?.name ?? registration.lifetime,
+        kind: kindOf(registration),
+        dependencies: [...(registration.dependencies ?? [])]
+    }));
+}
+
+/**
+ * Export `graph` as JSON.
+ * @example
+ * import { toJSON } from "fluxject";
+ *
+ * writeFileSync("services.json", toJSON(provider.graph()));
+ * @param {Types.ServiceGraph} graph
+ * The graph to export. (Returned from `provider.graph()`)
+ * @returns {string}
+ * The graph as formatted JSON.
+ */
+export function toJSON(graph) {
+    return JSON.stringify(graph, null, 2);
+}
+
+/**
+ * Export `graph` as a Graphviz DOT digraph, where every service is a node (labeled with its lifetime) and every dependency is an edge
+ * from the dependent to its dependency.
+ * @example
+ * import { toDot } from "fluxject";
+ *
+ * writeFileSync("services.dot", toDot(provider.graph()));
+ * // dot -Tsvg services.dot -o services.svg
+ * @param {Types.ServiceGraph} graph
+ * The graph to export. (Returned from `provider.graph()`)
+ * @returns {string}
+ * The graph in the DOT language.
+ */
+export function toDot(graph) {
+    const lines = ["digraph services {"];
+    for(const node of graph.nodes) {
+        lines.push(`    ${quote(node.name)} [label=${quote(`${node.name}\n(${node.lifetime})`)}];`);
+    }
+    for(const edge of graph.edges) {
+        lines.push(`    ${quote(edge.from)} -> ${quote(edge.to)};`);
+    }
+    lines.push("}");
+    return lines.join("\n");
+}
+
+/**
+ * Export `graph` as a Mermaid flowchart, where every service is a node (labeled with its lifetime) and every dependency is an edge
+ * from the dependent to its dependency.
+ * @example
+ * import { toMermaid } from "fluxject";
+ *
+ * writeFileSync("services.md", "```mermaid\n" + toMermaid(provider.graph()) + "\n```");
+ * @param {Types.ServiceGraph} graph
+ * The graph to export. (Returned from `provider.graph()`)
+ * @returns {string}
+ * The graph as a Mermaid flowchart.
+ */
+export function toMermaid(graph) {
+    // Mermaid ids cannot contain most punctuation (e.g., the brackets in the names of collection elements), so every node gets a generated id.
+    const ids = new Map(graph.nodes.map((node, index) => [node.name, `s${index}`]));
+    /**
+     * @param {string} name
+     */
+    const idOf = (name) => {
+        let id = ids.get(name);
+        if(id === undefined) {
+            id = `s${ids.size}`;
+            ids.set(name, id);
+        }
+        return id;
+    };
+    const lines = ["flowchart LR"];
+    for(const node of graph.nodes) {
+        lines.push(`    ${idOf(node.name)}["${escapeMermaid(node.name)}<br/>(${escapeMermaid(node.lifetime)})"]`);
+    }
+    for(const edge of graph.edges) {
+        lines.push(`    ${idOf(edge.from)} --> ${idOf(edge.to)}`);
+    }
+    return lines.join("\n");
+}
+
+/**
+ * Get the kind of factory that `registration` was registered with.
+ * @param {Types.Registration<any,any>} registration
+ * @returns {Types.ServiceDescription['kind']}
+ */
+function kindOf(registration) {
+    if(registration.scopeInput) {
+        return "input";
+    }
+    if(registration.collection) {
+        return "collection";
+    }
+    if(registration.external) {
+        return "value";
+    }
+    return isConstructor(registration.factory) ? "class" : "factory";
+}
+
+/**
+ * Quote `value` as a DOT identifier.
+ * @param {string} value
+ */
+function quote(value) {
+    return `"${value.replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`;
+}
+
+/**
+ * Escape `value` for use within a quoted Mermaid label.
+ * @param {string} value
+ */
+function escapeMermaid(value) {
+    return value.replace(/"/g, "#quot;").replace(/</g, "#lt;").replace(/>/g, "#gt;");
+}
@@ -0,0 +1,211 @@
+//@ts-check
+/** @import { IncomingMessage, ServerResponse } from "http" */
+import { isPromise } from "util/types";
+
+/**
+ * Host Service Provider that scopes are created from. (Returned from `Container.prepare()`)
+ * @typedef {{ createScope(): any }} HostProvider
+ */
+
+/**
+ * Options for creating a scope per request.
+ * @typedef HttpScopeOptions
+ * @prop {string} [property]
+ * Name of the property the scope is attached to on the request. (Default: "scope")
+ * @prop {(error: unknown, request: IncomingMessage) => void} [onError]
+ * Invoked with any error from disposing of the scope (or from the handler, for `scopedHandler`). (Default: logs the error with `console.error`)
+ */
+
+/**
+ * Wrap a `node:http` request handler, so a new scope is created for every request and disposed of once the response finishes (or the connection closes).
+ *
+ * The scope is attached to the request (as `request.scope`, by default) and passed to the handler.
+ * If the handler throws (or rejects), then the error is passed to `onError` and, if nothing has been sent yet, the response is ended with a 500 status code.
+ * @example
+ * import { createServer } from "http";
+ * import { scopedHandler } from "fluxject/http";
+ *
+ * createServer(scopedHandler(provider, async (req, res, scope) => {
+ *   res.end(JSON.stringify(await scope.orderRepository.findAll()));
+ * })).listen(8080);
+ * @template {HostProvider} TProvider
+ * Inferred type of `provider`.
+ * @param {TProvider} provider
+ * The provider to create a scope from for every request.
+ * @param {(request: IncomingMessage, response: ServerResponse, scope: ReturnType<TProvider['createScope']>) => unknown} handler
+ * The request handler to wrap.
+ * @param {HttpScopeOptions=} options
+ * Options for creating the scope.
+ * @returns {(request: IncomingMessage, response: ServerResponse) => void}
+ * A `node:http` compatible request handler.
+ */
+export function scopedHandler(provider, handler, options) {
+    const onError = options?.onError ?? logError;
+    return (request, response) => {
+        const scope = createRequestScope(provider, request, response, options);
+        /**
+         * @param {unknown} err
+         */
+        const fail = (err) => {
+            onError(err, request);
+            if(!response.headersSent) {
+                response.statusCode = 500;
+                response.end();
+            }
+        }
+        try {
+            const result = handler(request, response, scope);
+            if(isPromise(result)) {
+                result.catch(fail);
+            }
+        }
+        catch(err) {
+            fail(err);
+        }
+    };
+}
+
+/**
+ * Create Express-style middleware, which creates a new scope for every request and disposes of it once the response finishes (or the connection closes).
+ *
+ * The scope is attached to the request (as `req.scope`, by default).
+ * @example
+ * import { expressScope } from "fluxject/http";
+ *
+ * app.use(expressScope(provider));
+ * app.get("/orders", async (req, res) => res.json(await req.scope.orderRepository.findAll()));
+ * @template {HostProvider} TProvider
+ * Inferred type of `provider`.
+ * @param {TProvider} provider
+ * The provider to create a scope from for every request.
+ * @param {HttpScopeOptions=} options
+ * Options for creating the scope.
+ * @returns {(request: IncomingMessage, response: ServerResponse, next: (err?: unknown) => void) => void}
+ * Middleware that can be passed to `app.use`.
+ */
+export function expressScope(provider, options) {
+    return (request, response, next) => {
+        try {
+            createRequestScope(provider, request, response, options);
+        }
+        catch(err) {
+            return next(err);
+        }
+        next();
+    };
+}
+
+/**
+ * Create Koa-style middleware, which creates a new scope for every request and disposes of it once the response finishes (or the connection closes).
+ *
+ * The scope is attached to `ctx.state` and to the underlying request (as `ctx.state.scope` and `ctx.req.scope`, by default).
+ * @example
+ * import { koaScope } from "fluxject/http";
+ *
+ * app.use(koaScope(provider));
+ * app.use(async ctx => ctx.body = await ctx.state.scope.orderRepository.findAll());
+ * @template {HostProvider} TProvider
+ * Inferred type of `provider`.
+ * @param {TProvider} provider
+ * The provider to create a scope from for every request.
+ * @param {HttpScopeOptions=} options
+ * Options for creating the scope.
+ * @returns {(ctx: { req: IncomingMessage, res: ServerResponse, state: Record<string, any> }, next: () => Promise<unknown>) => Promise<unknown>}
+ * Middleware that can be passed to `app.use`.
+ */
+export function koaScope(provider, options) {
+    return (ctx, next) => {
+        ctx.state[options?.property ?? "scope"] = createRequestScope(provider, ctx.req, ctx.res, options);
+        return next();
+    };
+}
+
+/**
+ * Create a Fastify plugin, which creates a new scope for every request and disposes of it once the response finishes (or the connection closes).
+ *
+ * The scope is attached to the request (as `request.scope`, by default) and the plugin applies to every route, regardless of where it is registered.
+ * @example
+ * import { fastifyScope } from "fluxject/http";
+ *
+ * app.register(fastifyScope(provider));
+ * app.get("/orders", async (request) => request.scope.orderRepository.findAll());
+ * @template {HostProvider} TProvider
+ * Inferred type of `provider`.
+ * @param {TProvider} provider
+ * The provider to create a scope from for every request.
+ * @param {HttpScopeOptions=} options
+ * Options for creating the scope.
+ * @returns {(instance: any, opts: unknown, done: () => void) => void}
+ * A plugin that can be passed to `app.register`.
+ */
+export function fastifyScope(provider, options) {
+    const property = options?.property ?? "scope";
+    /** @type {(instance: any, opts: unknown, done: () => void) => void} */
+    const plugin = (instance, opts, done) => {
+        instance.decorateRequest(property, null);
+        instance.addHook("onRequest", (/** @type {any} */ request, /** @type {any} */ reply, /** @type {(err?: unknown) => void} */ next) => {
+            try {
+                request[property] = createRequestScope(provider, request.raw, reply.raw, options);
+            }
+            catch(err) {
+                return next(err);
+            }
+            next();
+        });
+        done();
+    };
+    // Prevents Fastify from encapsulating the plugin, so the hook applies to every route.
+    /** @type {any} */ (plugin)[Symbol.for("skip-override")] = true;
+    return plugin;
+}
+
+/**
+ * Create a new scope for `request`, attach it to the request and dispose of it once `response` finishes or closes (whichever comes first).
+ * @template {HostProvider} TProvider
+ * @param {TProvider} provider
+ * The provider to create the scope from.
+ * @param {IncomingMessage} request
+ * The request to attach the scope to.
+ * @param {ServerResponse} response
+ * The response that determines when the scope is disposed of.
+ * @param {HttpScopeOptions=} options
+ * Options for creating the scope.
+ * @returns {ReturnType<TProvider['createScope']>}
+ * The new scope.
+ */
+function createRequestScope(provider, request, response, options) {
+    const onError = options?.onError ?? logError;
+    const scope = provider.createScope();
+    /** @type {any} */ (request)[options?.property ?? "scope"] = scope;
+
+    let disposed = false;
+    const dispose = () => {
+        if(disposed) {
+            return;
+        }
+        disposed = true;
+        response.off("finish", dispose);
+        response.off("close", dispose);
+        try {
+            const result = scope.dispose();
+            if(isPromise(result)) {
+                result.catch(err => onError(err, request));
+            }
+        }
+        catch(err) {
+            onError(err, request);
+        }
+    };
+    response.once("finish", dispose);
+    response.once("close", dispose);
+    return scope;
+}
+
+/**
+ * Default error handler, which logs the error along with the request it occurred in.
+ * @param {unknown} error
+ * @param {IncomingMessage} request
+ */
+function logError(error, request) {
+    console.error(`[fluxject] Error while handling ${request.method} ${request.url}:`, error);
+}
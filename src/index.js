@@ -54,12 +54,17 @@ if(needsPolyfills()) {
  *     this.myService.doSomething();
  *   }
  * }
+ * @param {Types.ContainerOptions=} options
+ * Options that apply to every registration made on the container.
  */
-export function fluxject() {
-    return Container.create();
+export function fluxject(options) {
+    return Container.create(options);
 }
 
 export { Container };
+export { acquire, defineLifetime } from "./lifetimes.js";
+export { toDot, toJSON, toMermaid } from "./graph.js";
+export { AsyncFactoryTimeoutError, CaptiveDependencyError, CircularDependencyError, ContainerValidationError, DisposalError, DisposalTimeoutError, DuplicateRegistrationError, FluxjectError, MissingScopeInputError, PoolExhaustedError } from "./errors.js";
 
 /**
  * Infer the correct service provider that would be passed into the instantiator for the given `TServiceName` from `TContainer`.
@@ -75,8 +80,8 @@ export { Container };
  * @template {keyof Types.InferRegistrationsFromContainer<TContainer>} TServiceName
  * The name of the service that is using this service provider.
  * @typedef {Types.InferRegistrationsFromContainer<TContainer>[TServiceName] extends Types.Registration<*, "scoped"> 
-*   ? Types.Widen<Omit<(FluxjectScopedServiceProvider & Types.InferInstanceTypes<Types.InferRegistrationsFromContainer<TContainer>>), TServiceName|"dispose">>
-*   : Types.Widen<Omit<(FluxjectHostServiceProvider<Types.InferRegistrationsFromContainer<TContainer>> & Types.InferInstanceTypes<Types.InferRegistrationsFromContainer<TContainer>, "singleton"|"transient">), TServiceName|"createScope"|"dispose">>
+*   ? Types.Widen<Omit<(FluxjectScopedServiceProvider & Types.InferInstanceTypes<Types.InferRegistrationsFromContainer<TContainer>>), TServiceName|"createScope"|"resolve"|"create"|"initialize"|"graph"|"dispose">>
+*   : Types.Widen<Omit<(FluxjectHostServiceProvider<Types.InferRegistrationsFromContainer<TContainer>> & Types.InferInstanceTypes<Types.InferRegistrationsFromContainer<TContainer>, "singleton"|"transient">), TServiceName|"createScope"|"createScopeAsync"|"runInScope"|"currentScope"|"resolve"|"create"|"initialize"|"withOverrides"|"graph"|"dispose">>
 * } InferServiceProvider
 */
 
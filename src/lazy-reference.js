@@ -1,9 +1,15 @@
 
 //@ts-check
 import { isPromise } from "util/types";
-import { isConstructor } from "./util.js";
+import { disposeInstance, isConstructor } from "./util.js";
 import { FluxjectError } from "./errors.js";
 
+/**
+ * Map of every proxy handed out by a `LazyReference` back to the `LazyReference` that created it.
+ * @type {WeakMap<object, LazyReference<any>>}
+ */
+const lazyReferences = new WeakMap();
+
 /**
  * Object that allows for services to be lazily instantiated.
  * 
@@ -39,21 +45,225 @@ export class LazyReference {
      */
     #isTransient;
 
+    /**
+     * The function that will be used to instantiate the reference.
+     * @type {() => TInstanceType}
+     */
+    #instantiator;
+
+    /**
+     * The function that will be used to dispose of an instance of the reference.
+     * @type {(instance: TInstanceType) => any}
+     */
+    #disposer;
+
+    /**
+     * The function that will be used to invoke methods on the instance, if the methods are intercepted.
+     * @type {LazyReferenceOptions<TInstanceType>['interceptor']}
+     */
+    #interceptor;
+
+    /**
+     * True if the instantiator is invoked on every access, where the instantiator decides which instance is used. (Used by custom lifetimes)
+     * @type {boolean}
+     */
+    #resolvesOnAccess;
+
+    /**
+     * Check if the given object is a reference that was returned from the `LazyReference` constructor.
+     * @param {any} reference
+     * The object to check.
+     * @returns {boolean}
+     * True if the object is a lazy reference, otherwise false.
+     */
+    static isLazyReference(reference) {
+        return lazyReferences.has(reference);
+    }
+
+    /**
+     * Instantiate the given reference immediately (if it has not been instantiated yet), throwing any error from its instantiator.
+     * 
+     * Transient references are instantiated on every property access, so they are left untouched.
+     * @param {any} reference 
+     * The proxy that was returned from the `LazyReference` constructor.
+     * @returns {any}
+     * The instance held by the reference, which is a Promise if it has not settled yet. (Or undefined if the reference is transient)
+     */
+    static instantiate(reference) {
+        const lazyReference = lazyReferences.get(reference);
+        if(lazyReference === undefined) {
+            throw new FluxjectError(`Cannot instantiate an object that is not a lazy reference.`);
+        }
+        if(lazyReference.#isTransient) {
+            return undefined;
+        }
+        return lazyReference.#ensureInstantiated();
+    }
+
+    /**
+     * Create a new (non-transient) reference from the given reference's instantiator, disposer and interceptor.
+     * 
+     * The new reference is lazily instantiated once and keeps its instance until it is disposed of, so it is owned by whoever holds it.
+     * @param {any} reference 
+     * The proxy that was returned from the `LazyReference` constructor.
+     * @param {(() => any)=} instantiator
+     * The function that will be used to instantiate the new reference. (Default: the instantiator of `reference`)
+     * @returns {any}
+     * The proxy of the new reference.
+     */
+    static owned(reference, instantiator) {
+        const lazyReference = lazyReferences.get(reference);
+        if(lazyReference === undefined) {
+            throw new FluxjectError(`Cannot create an owned reference from an object that is not a lazy reference.`);
+        }
+        return new LazyReference(instantiator ?? lazyReference.#instantiator, false, {
+            disposer: lazyReference.#disposer,
+            interceptor: lazyReference.#interceptor
+        });
+    }
+
+    /**
+     * Create a new instance from the given reference's instantiator, which is owned by the caller instead of the reference.
+     * 
+     * The instance is not held by the reference, so it is never disposed of by the reference.
+     * @param {any} reference 
+     * The proxy that was returned from the `LazyReference` constructor.
+     * @returns {{ instance: any, dispose: () => any }}
+     * The new instance (which is a Promise if it was created asynchronously), along with a function that disposes of it.
+     */
+    static create(reference) {
+        const lazyReference = lazyReferences.get(reference);
+        if(lazyReference === undefined) {
+            throw new FluxjectError(`Cannot create an instance from an object that is not a lazy reference.`);
+        }
+        const instance = lazyReference.#instantiator();
+        return {
+            instance,
+            dispose: () => isPromise(instance) 
+                ? instance.then(resolved => lazyReference.#disposer(resolved)) 
+                : lazyReference.#disposer(instance)
+        };
+    }
+
+    /**
+     * Instantiate the given reference (if it has not been instantiated yet) and wait for its instance to settle.
+     * 
+     *   - If the instance is a Promise, then the reference will hold the resolved value once this function resolves.
+     *   - Transient references are instantiated on every property access, so they are left untouched.
+     * @param {any} reference 
+     * The proxy that was returned from the `LazyReference` constructor.
+     * @returns {Promise<void>}
+     */
+    static async resolve(reference) {
+        if(lazyReferences.get(reference) === undefined) {
+            throw new FluxjectError(`Cannot resolve an object that is not a lazy reference.`);
+        }
+        await LazyReference.instantiate(reference);
+    }
+
+    /**
+     * Dispose of the instance held by the given reference (if it has been instantiated), so that every further property accessor returns undefined.
+     * 
+     * If the instance is still a pending Promise, then it is disposed of once it resolves.
+     * @param {any} reference 
+     * The proxy that was returned from the `LazyReference` constructor.
+     * @returns {any}
+     * A Promise if the instance was disposed of asynchronously, otherwise undefined.
+     */
+    static dispose(reference) {
+        const lazyReference = lazyReferences.get(reference);
+        if(lazyReference === undefined) {
+            throw new FluxjectError(`Cannot dispose of an object that is not a lazy reference.`);
+        }
+        const instance = lazyReference.#instance;
+        lazyReference.#syncDisposed = true;
+        lazyReference.#asyncDisposed = true;
+        lazyReference.#instance = undefined;
+
+        // Transient instances are disposed of immediately after each usage.
+        if(instance === undefined || lazyReference.#isTransient) {
+            return undefined;
+        }
+        if(isPromise(instance)) {
+            return instance.then(resolved => lazyReference.#disposer(/** @type {any} */ (resolved)), () => {});
+        }
+        return lazyReference.#disposer(instance);
+    }
+
     /**
      * Create a new lazy reference to an instance
      * @param {() => TInstanceType} instantiator 
      * The function that will be used to instantiate the reference.
      * @param {boolean} isTransient
      * True if the reference is transient (will be disposed of after property de-referencing)
+     * @param {LazyReferenceOptions<TInstanceType>} [options]
+     * Additional options for disposing of the instance and intercepting its methods.
      */
-    constructor(instantiator, isTransient) {
+    constructor(instantiator, isTransient, options = {}) {
         this.#syncDisposed = false;
         this.#instance = undefined;
         this.#isTransient = isTransient;
+        this.#instantiator = instantiator;
+        this.#disposer = options.disposer ?? disposeInstance;
+        this.#interceptor = options.interceptor;
+        this.#resolvesOnAccess = options.resolvesOnAccess ?? false;
         this.#proxy = this.#createProxy(instantiator);
+        lazyReferences.set(this.#proxy, this);
         return this.#proxy;
     }
 
+    /**
+     * Instantiate the service, returning the instance that should be stored on this reference.
+     * 
+     * If the instantiator returns a Promise, then the stored instance is swapped out for the resolved value once it settles,
+     * so all further property accessors are forwarded to the resolved value.
+     * @returns {TInstanceType}
+     */
+    #instantiate() {
+        const instance = this.#instantiator();
+        if(isPromise(instance)) {
+            instance.then(resolved => {
+                // Only swap the instance if it was not replaced (or disposed) while the Promise was pending.
+                if(this.#instance === instance) {
+                    this.#instance = /** @type {TInstanceType} */ (resolved);
+                }
+            }, () => {});
+        }
+        return instance;
+    }
+
+    /**
+     * Instantiate the service if it has not been instantiated yet. (Or on every access, if the reference resolves on access)
+     * @returns {TInstanceType}
+     * The instance of the service.
+     */
+    #ensureInstantiated() {
+        if(this.#instance === undefined || this.#resolvesOnAccess) {
+            this.#instance = this.#instantiate();
+        }
+        return this.#instance;
+    }
+
+    /**
+     * Invoke `method` on `instance` with `args`, through the interceptor if there is one.
+     * @param {any} instance 
+     * The instance to invoke the method on.
+     * @param {string|symbol} property 
+     * The name of the method.
+     * @param {Function} method 
+     * The method to invoke.
+     * @param {any[]} args 
+     * The arguments to invoke the method with.
+     */
+    #invoke(instance, property, method, args) {
+        const proceed = (/** @type {any[]} */ args) => method.apply(instance, args);
+        // Only named methods are intercepted. (`then` is excluded, so awaiting the service is never intercepted)
+        if(this.#interceptor === undefined || typeof property !== "string" || property === "then") {
+            return proceed(args);
+        }
+        return this.#interceptor(property, args, proceed);
+    }
+
     /**
      * Creates a Proxy for this object that intercepts property accessors and ensures that the instance is instantiated before access.
      * @param {() => TInstanceType} instantiator 
@@ -94,27 +304,27 @@ export class LazyReference {
                 }
 
                 // If the instance has not been instantiated yet, then instantiate it.
-                if(this.#instance === undefined) {
-                    this.#instance = instantiator();
-                }
+                //   The instance is captured here, since an asynchronous instance may be swapped out for its resolved value
+                //   before the returned function is invoked (e.g., `then` being invoked by `await`).
+                const instance = this.#ensureInstantiated();
 
                 // If the instance is a promise and the property is not `then`, then return undefined.
-                if(isPromise(this.#instance) && property !== "then") {
+                if(isPromise(instance) && property !== "then") {
                     return undefined;
                 }
                 
                 // Get the value of the property.
-                const val = this.#instance[property];
+                const val = instance[property];
                 
                 // If the value is a function, bind the function to the instance.
                 if(val instanceof Function) {
                     return (...args) => {
-                        const returnValue = val.bind(this.#instance)(...args);
+                        const returnValue = this.#invoke(instance, property, val, args);
 
                         // If the return value is a reference to this service, then return this reference.
                         //   This is to ensure that if the provider is disposed, the user cannot accidentally
                         //   reference data that may no longer exists.
-                        if(returnValue === this.#instance) {
+                        if(returnValue === instance) {
                             return this.#proxy;
                         }
                         return returnValue;
@@ -124,7 +334,7 @@ export class LazyReference {
                 // If the value is a reference to this service, then return this reference.
                 //   This is to ensure that if the provider is disposed, the user cannot accidentally
                 //   reference data that may no longer exists.
-                if(val === this.#instance) {
+                if(val === instance) {
                     return this.#proxy;
                 }
 
@@ -146,12 +356,10 @@ export class LazyReference {
                 }
 
                 // If the instance has not been instantiated yet, then instantiate it.
-                if(this.#instance === undefined) {
-                    this.#instance = instantiator();
-                }
+                const instance = this.#ensureInstantiated();
 
                 // Set the property on the instance.
-                this.#instance[property] = value;
+                instance[property] = value;
                 return true;
             },
             /**
@@ -164,12 +372,12 @@ export class LazyReference {
                 }
 
                 // If the instance has not been instantiated yet, then instantiate it.
-                if(this.#instance === undefined) {
+                if(this.#instance === undefined || this.#resolvesOnAccess) {
                     // If the property is a dispose method, then throw an error.
                     if(property === Symbol.dispose || property === Symbol.asyncDispose) {
                         throw new FluxjectError(`Cannot check for dispose methods.`);
                     }
-                    this.#instance = instantiator();
+                    this.#instance = this.#instantiate();
                 }
 
                 // Check if the property exists on the instance.
@@ -185,9 +393,7 @@ export class LazyReference {
                 }
 
                 // If the instance has not been instantiated yet, then instantiate it.
-                if(this.#instance === undefined) {
-                    this.#instance = instantiator();
-                }
+                this.#ensureInstantiated();
                 
                 // Return the prototype of the instance.
                 return Object.getPrototypeOf(this.#instance);
@@ -197,9 +403,7 @@ export class LazyReference {
              */
             construct: (target, args, newTarget) => {
                 // If the instance has not been instantiated yet, then instantiate it.
-                if(this.#instance === undefined) {
-                    this.#instance = instantiator();
-                }
+                this.#ensureInstantiated();
 
                 // If the instance is not a constructable type, then throw an error.
                 if(!isConstructor(this.#instance)) {
@@ -245,13 +449,12 @@ export class LazyReference {
         if(instance[property] instanceof Function) {
             return (...args) => {
                 // Bind and invoke, intercepting the return value.
-                const returnValue = instance[property].bind(instance)(...args);
+                const returnValue = this.#invoke(instance, property, instance[property], args);
 
                 // If the return value is a promise, then chain the disposal of the instance after resolution.
                 if(isPromise(returnValue)) {
                     return returnValue.then(async (promiseReturnValue) => {
-                        instance[Symbol.dispose]?.();
-                        await instance[Symbol.asyncDispose]?.();
+                        await this.#disposer(instance);
 
                         // If the return value is the instance itself, then return this reference
                         //   This is to ensure that the service does not become stated.
@@ -263,8 +466,7 @@ export class LazyReference {
                 }
 
                 // Otherwise, the return value is not a promise, so dispose of the instance and return the value.
-                instance[Symbol.dispose]?.();
-                instance[Symbol.asyncDispose]?.();
+                this.#disposer(instance);
 
                 // If the return value is the instance itself, then return this reference
                 //   This is to ensure that the service does not become stated.
@@ -276,8 +478,7 @@ export class LazyReference {
         }
         // Otherwise, the value is not a function, so dispose of the instance and return the value.
         const returnValue = instance[property];
-        instance[Symbol.dispose]?.();
-        instance[Symbol.asyncDispose]?.();
+        this.#disposer(instance);
         
         // If the return value is the instance itself, then return this reference
         //   This is to ensure that the service does not become stated.
@@ -286,4 +487,16 @@ export class LazyReference {
         }
         return returnValue;
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Additional options for a `LazyReference`.
+ * @template TInstanceType
+ * @typedef LazyReferenceOptions
+ * @prop {(instance: TInstanceType) => any} [disposer]
+ * The function that will be used to dispose of an instance of the reference. (Defaults to invoking `Symbol.dispose` then `Symbol.asyncDispose`)
+ * @prop {(method: string, args: any[], proceed: (args: any[]) => any) => any} [interceptor]
+ * The function that will be used to invoke methods on the instance. `proceed` invokes the method with the given arguments.
+ * @prop {boolean} [resolvesOnAccess]
+ * If true, then the instantiator is invoked on every access and decides which instance is used. (Default: false)
+ */
\ No newline at end of file
@@ -0,0 +1,315 @@
+//@ts-check
+/** @import * as Types from "./types.js" */
+import { isPromise } from "util/types";
+import { FluxjectError, PoolExhaustedError } from "./errors.js";
+import { customLifetimeOf } from "./provider.js";
+
+/**
+ * Define a custom lifetime, which decides where the instances of its services are cached and when they are disposed of.
+ * 
+ * Services with a custom lifetime are resolved through `resolve` every time they are accessed, so the lifetime can return
+ * a cached instance or create a new one with `context.create()`. When the provider the service belongs to is disposed of, 
+ * `dispose` is invoked to dispose of every cached instance.
+ * @example
+ * // A lifetime where each instance is cached for `ms` milliseconds.
+ * const timed = (ms) => defineLifetime({
+ *   name: "timed",
+ *   resolve: ({ cache, create, dispose }) => {
+ *     const entry = cache.get("entry");
+ *     if(entry && Date.now() - entry.created < ms) {
+ *       return entry.instance;
+ *     }
+ *     if(entry) {
+ *       dispose(entry.instance);
+ *     }
+ *     const instance = create();
+ *     cache.set("entry", { instance, created: Date.now() });
+ *     return instance;
+ *   },
+ *   dispose: ({ cache, dispose }) => {
+ *     const entry = cache.get("entry");
+ *     cache.clear();
+ *     return entry && dispose(entry.instance);
+ *   }
+ * });
+ * 
+ * container.register(m => m.lifetime(timed(60_000), { exchangeRates: ExchangeRates }));
+ * @template {Types.Lifetime} TLifetime
+ * Inferred lifetime from `lifetime`
+ * @param {TLifetime} lifetime
+ * The lifetime to define.
+ * @returns {TLifetime}
+ * The same lifetime, which can be passed to `m.lifetime(...)`.
+ */
+export function defineLifetime(lifetime) {
+    return lifetime;
+}
+
+/**
+ * Options of every lifetime created by `poolLifetime`.
+ * @type {WeakMap<Types.Lifetime, Types.PoolOptions>}
+ */
+const poolOptions = new WeakMap();
+
+/**
+ * Key that a service's pool is stored under in the cache of its lifetime context.
+ */
+const poolKey = Symbol("pool");
+
+/**
+ * Create a lifetime where instances are leased from a bounded pool, which is shared by the Host Service Provider and all of its scopes.
+ * 
+ *   - Each scope leases an instance the first time it resolves the service, and returns it to the pool once the scope is disposed of.
+ *   - Instances can be leased explicitly (outside of a scope) with `acquire(provider.service)`.
+ *   - The pool is drained, disposing of every instance, once the Host Service Provider is disposed of.
+ * 
+ * Services of this lifetime are registered with `m.pooled(...)`.
+ * @param {Types.PoolOptions=} options
+ * Options for the pool of each service.
+ * @returns {Types.Lifetime}
+ * The pooled lifetime.
+ */
+export function poolLifetime(options = {}) {
+    /** @type {Types.Lifetime} */
+    const lifetime = {
+        name: "pooled",
+        resolve: (context) => {
+            if(context.scope === undefined) {
+                throw new FluxjectError(`Cannot resolve pooled service "${context.service}" outside of a scope. (Lease it with "acquire(provider.${context.service})")`);
+            }
+            if(!context.scope.has(poolKey)) {
+                context.scope.set(poolKey, poolOf(context, options).lease());
+            }
+            return context.scope.get(poolKey).instance;
+        },
+        release: (context) => {
+            context.scope?.get(poolKey)?.release();
+            context.scope?.clear();
+        },
+        dispose: (context) => {
+            return context.cache.get(poolKey)?.drain();
+        }
+    };
+    poolOptions.set(lifetime, options);
+    return lifetime;
+}
+
+/**
+ * Explicitly lease an instance of a pooled service (registered with `m.pooled(...)`), which must be released once it is no longer needed.
+ * 
+ * The lease is also released when it is disposed of, so it can be declared with `using`.
+ * @example
+ * using lease = acquire(provider.connection);
+ * await lease.instance.query("SELECT 1");
+ * @template T
+ * Type of the pooled service.
+ * @param {T} reference
+ * The pooled service, as retrieved from the Host Service Provider.
+ * @returns {Types.Lease<T> & Disposable}
+ * The lease, holding the leased instance.
+ */
+export function acquire(reference) {
+    const custom = customLifetimeOf(reference);
+    const options = custom && poolOptions.get(custom.lifetime);
+    if(custom === undefined || options === undefined) {
+        throw new FluxjectError(`Cannot acquire a service that is not pooled. (Register it with "m.pooled(...)")`);
+    }
+    const lease = poolOf(custom.context, options).lease();
+    return {
+        ...lease,
+        [Symbol.dispose]: lease.release
+    };
+}
+
+/**
+ * Get the pool of the service that the given context belongs to, creating it if it does not exist yet.
+ * @param {Types.LifetimeContext} context
+ * Context of the pooled service.
+ * @param {Types.PoolOptions} options
+ * Options for the pool.
+ * @returns {Pool}
+ */
+function poolOf(context, options) {
+    if(!context.cache.has(poolKey)) {
+        context.cache.set(poolKey, new Pool(context, options));
+    }
+    return context.cache.get(poolKey);
+}
+
+/**
+ * Bounded pool of instances of a single service.
+ */
+class Pool {
+    /** @type {Types.LifetimeContext} */
+    #context;
+    /** @type {Required<Omit<Types.PoolOptions, "onError">> & Pick<Types.PoolOptions, "onError">} */
+    #options;
+    /**
+     * Instances that are waiting in the pool to be leased, where the last instance is leased first.
+     * @type {any[]}
+     */
+    #idle;
+    /**
+     * Instances that are currently leased.
+     * @type {Set<any>}
+     */
+    #leased;
+    /**
+     * Timers that dispose of idle instances once they have been idle for `idleTimeout`.
+     * @type {Map<any, ReturnType<typeof setTimeout>>}
+     */
+    #timers;
+    /** @type {boolean} */
+    #drained;
+    /**
+     * Failures from disposing of idle instances, which are reported once the pool is drained. (Unless the pool has an `onError` callback)
+     * @type {unknown[]}
+     */
+    #idleErrors;
+
+    /**
+     * @param {Types.LifetimeContext} context
+     * Context of the pooled service.
+     * @param {Types.PoolOptions} options
+     * Options for the pool.
+     */
+    constructor(context, options) {
+        this.#context = context;
+        this.#options = { min: options.min ?? 0, max: options.max ?? Infinity, idleTimeout: options.idleTimeout ?? Infinity, onError: options.onError };
+        this.#idle = [];
+        this.#leased = new Set();
+        this.#timers = new Map();
+        this.#drained = false;
+        this.#idleErrors = [];
+        while(this.#idle.length < this.#options.min) {
+            this.#idle.push(context.create());
+        }
+    }
+
+    /**
+     * Lease an idle instance, or create a new instance if there are no idle instances.
+     * @returns {Types.Lease<any>}
+     */
+    lease() {
+        if(this.#drained) {
+            throw new FluxjectError(`Cannot lease "${this.#context.service}", since its pool has been drained.`);
+        }
+        if(this.#idle.length === 0 && this.#leased.size >= this.#options.max) {
+            throw new PoolExhaustedError(this.#context.service, this.#options.max);
+        }
+        const instance = this.#idle.length > 0 ? this.#idle.pop() : this.#context.create();
+        clearTimeout(this.#timers.get(instance));
+        this.#timers.delete(instance);
+        this.#leased.add(instance);
+
+        let released = false;
+        return {
+            instance,
+            release: () => {
+                if(released) {
+                    return;
+                }
+                released = true;
+                this.#return(instance);
+            }
+        };
+    }
+
+    /**
+     * Return a leased instance to the pool, where it is disposed of once it has been idle for `idleTimeout` (if the pool has more than `min` instances).
+     * @param {any} instance
+     */
+    #return(instance) {
+        if(!this.#leased.delete(instance)) {
+            return;
+        }
+        this.#idle.push(instance);
+        if(this.#options.idleTimeout === Infinity || this.#idle.length + this.#leased.size <= this.#options.min) {
+            return;
+        }
+        const timer = setTimeout(() => {
+            this.#timers.delete(instance);
+            const index = this.#idle.indexOf(instance);
+            if(index !== -1 && this.#idle.length + this.#leased.size > this.#options.min) {
+                this.#idle.splice(index, 1);
+                this.#disposeIdle(instance);
+            }
+        }, this.#options.idleTimeout);
+        // Idle instances should never keep the process alive.
+        timer.unref?.();
+        this.#timers.set(instance, timer);
+    }
+
+    /**
+     * Dispose of an instance that has been idle for `idleTimeout`.
+     * 
+     * Nothing awaits the disposal, so any failure is passed to the `onError` callback of the pool, or kept until the pool is drained.
+     * @param {any} instance
+     */
+    #disposeIdle(instance) {
+        /**
+         * @param {unknown} err
+         */
+        const report = (err) => {
+            if(this.#options.onError) {
+                this.#options.onError(err);
+            }
+            else {
+                this.#idleErrors.push(err);
+            }
+        };
+        try {
+            const result = this.#context.dispose(instance);
+            if(isPromise(result)) {
+                result.catch(report);
+            }
+        }
+        catch(err) {
+            report(err);
+        }
+    }
+
+    /**
+     * Dispose of every instance in the pool (including leased instances), so no more instances can be leased.
+     * 
+     * Disposal continues past each failure, and an `AggregateError` holding every failure (including the failures from disposing of idle instances 
+     * that were not passed to `onError`) is thrown (or rejected) once every instance has been disposed of.
+     * @returns {any}
+     * A Promise if any of the instances were disposed of asynchronously, otherwise undefined.
+     */
+    drain() {
+        this.#drained = true;
+        for(const timer of this.#timers.values()) {
+            clearTimeout(timer);
+        }
+        const instances = [...this.#idle, ...this.#leased];
+        this.#timers.clear();
+        this.#idle = [];
+        this.#leased.clear();
+
+        const promises = [];
+        /** @type {unknown[]} */
+        const errors = this.#idleErrors;
+        this.#idleErrors = [];
+        for(const instance of instances) {
+            try {
+                const result = this.#context.dispose(instance);
+                if(isPromise(result)) {
+                    promises.push(result.catch(err => errors.push(err)));
+                }
+            }
+            catch(err) {
+                errors.push(err);
+            }
+        }
+        /**
+         * Throw every error from disposing of the instances, once every instance has been disposed of.
+         */
+        const report = () => {
+            if(errors.length > 0) {
+                throw new AggregateError(errors, `Failed to dispose of ${errors.length} instance(s) of pooled service "${this.#context.service}".`);
+            }
+        };
+        return promises.length > 0 ? Promise.all(promises).then(report) : report();
+    }
+}
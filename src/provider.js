@@ -1,8 +1,55 @@
 //@ts-check
 /** @import * as Types from "./types.js" */
 import { isPromise } from "util/types";
+import { AsyncLocalStorage } from "async_hooks";
 import { LazyReference } from "./lazy-reference.js";
-import { isConstructor } from "./util.js";
+import { disposeInstance, isConstructor, prefixName, selects } from "./util.js";
+import { describeRegistrations } from "./graph.js";
+import { AsyncFactoryTimeoutError, CaptiveDependencyError, CircularDependencyError, DisposalError, DisposalTimeoutError, FluxjectError, MissingScopeInputError } from "./errors.js";
+
+/**
+ * Members of a provider that services are not allowed to access from their injected provider.
+ * 
+ * Services cannot be registered under any of these names, since the member would hide the service. (See `Container.register`)
+ */
+export const restrictedMembers = ["createScope", "createScopeAsync", "runInScope", "currentScope", "resolve", "create", "initialize", "withOverrides", "graph", "dispose"];
+
+/**
+ * Rank of each lifetime, where a higher rank outlives a lower rank.
+ */
+const lifetimeRanks = {
+    transient: 0,
+    scoped: 1,
+    singleton: 2
+};
+
+/**
+ * Services that are currently being instantiated, where the last element is the innermost service.
+ * 
+ * Since factories are invoked synchronously, this is used to determine which service is resolving another service.
+ * @type {{ name: string, lifetime: "scoped"|"singleton"|"transient" }[]}
+ */
+const resolving = [];
+
+/**
+ * Lifetime and context of every reference to a service with a custom lifetime.
+ * @type {WeakMap<object, { lifetime: Types.Lifetime, context: Types.LifetimeContext }>}
+ */
+const customLifetimes = new WeakMap();
+
+/**
+ * Transient services that are provided per injection by each provider, and by each injectable proxy of that provider.
+ * @type {WeakMap<object, Injections>}
+ */
+const injections = new WeakMap();
+
+/**
+ * Instantiator of every reference to a Transient service for references that are owned by a single dependent, which skips the check for captive dependencies.
+ * 
+ * An owned instance lives exactly as long as its dependent, so it is never captive.
+ * @type {WeakMap<object, () => any>}
+ */
+const ownedInstantiators = new WeakMap();
 
 /**
  * Internal object used for the Host Service Provider
@@ -11,18 +58,35 @@ import { isConstructor } from "./util.js";
  */
 export class FluxjectHostServiceProvider {
     #registrations;
+    #options;
     /** @type {Record<string, LazyReference<any>|undefined>} */
     #references;
-    /** @type {FluxjectScopedServiceProvider[]} */
+    /** @type {Set<FluxjectScopedServiceProvider>} */
     #scopedServices;
+    /** @type {DependencyGraph} */
+    #graph;
+    /** @type {AsyncLocalStorage<FluxjectScopedServiceProvider<TRegistrations>>} */
+    #ambientScopes;
+    /** @type {Injections} */
+    #injections;
+    /** @type {ScopeConstructor} */
+    #Scope;
 
     /**
      * Construct a new `FluxjectHostServiceProvider` instance.
      * @param {TRegistrations} registrations
      * Registrations configured on the container.
+     * @param {Types.ContainerOptions} options
+     * Options configured on the container.
      */
-    constructor(registrations) {
-        this.#scopedServices = [];
+    constructor(registrations, options = {}) {
+        this.#scopedServices = new Set();
+        this.#options = options;
+        this.#graph = { dependencies: new Map(), instantiated: [], observed: new Map() };
+        this.#ambientScopes = new AsyncLocalStorage();
+        registrations = expandCollections(registrations);
+        this.#injections = createInjections(perInjectionNames(registrations, options), (name) => this.#references[name]);
+        injections.set(this, this.#injections);
 
         // Initialize all lazy references from the registrations.
         const registrationEntries = Object.entries(registrations);
@@ -31,18 +95,32 @@ export class FluxjectHostServiceProvider {
             .filter(([name,registration]) => registration.lifetime !== "scoped")
             // Create a new reference for each registration
             .map(([name,registration]) => {
+                // Externally owned instances are stored as-is, since there is nothing to instantiate.
+                if(registration.external) {
+                    return [name, /** @type {() => any} */ (registration.factory)()];
+                }
+                // Collections are assembled once all of their elements have a reference.
+                if(registration.collection) {
+                    dependenciesOf(this.#graph, name, registration);
+                    return [name, undefined];
+                }
+                // Custom lifetimes decide where their instances are cached, so they are never treated as transient.
+                if(registration.custom) {
+                    return [name, reference(name, registration, injectable(this, name, registration, this.#graph), false, options, this.#graph)];
+                }
                 if(registration.lifetime === "transient") {
-                    return [name, reference(name, registration, injectable(this, name), true)];
+                    return [name, reference(name, registration, injectable(this, name, registration, this.#graph), true, options, this.#graph)];
                 }
                 if(registration.lifetime === "singleton") {
-                    return [name, reference(name, registration, injectable(this, name), false)];
+                    return [name, reference(name, registration, injectable(this, name, registration, this.#graph), false, options, this.#graph)];
                 }
-                throw new Error(`Unknown lifetime ${registration.lifetime}`);
+                throw new FluxjectError(`Unknown lifetime "${registration.lifetime}" for service "${name}". (Custom lifetimes must be registered with "m.lifetime(...)")`);
             });
         
         // Convert the entries back into objects
         /** @type {Record<string, LazyReference<any>|undefined>} */
         const newReferences = Object.fromEntries(referenceEntries);
+        assembleCollections(newReferences, registrations, "singleton");
 
         this.#registrations = {
             ...this.#registrations,
@@ -52,39 +130,201 @@ export class FluxjectHostServiceProvider {
             ...this.#references,
             ...newReferences
         };
+        this.#Scope = FluxjectScopedServiceProvider.define(this.#registrations, options, this.#graph.observed);
 
         // For every reference, create a getter for the service on this object.
         for(const serviceName in this.#references) {
+            // Elements of a collection are only accessible through the collection.
+            if(this.#registrations[serviceName].collectionName !== undefined) {
+                continue;
+            }
             Object.defineProperty(this, serviceName, {
-                get: () => {
-                    return this.#references[serviceName];
-                }
+                get: checkedAccess(serviceName, this.#registrations[serviceName], options, isDirect(serviceName, this.#registrations[serviceName], options) 
+                    ? () => instanceOf(this.#references[serviceName])
+                    : () => this.#references[serviceName])
             });
         }
     }
 
     /**
      * Create a new scoped service provider. All Scoped Services will 
+     * @param {Types.ScopeInputs<TRegistrations>=} inputs
+     * Values for the scope inputs (declared with `m.scopeInput(...)`), which are injected as Scoped services within the new scope.
      * @returns {Types.Widen<FluxjectScopedServiceProvider<TRegistrations> & Types.InferInstanceTypes<TRegistrations>>}
      * A new Scoped Service Provider.
      */
-    createScope() {
-        const scopedService = new FluxjectScopedServiceProvider(this.#references, this.#registrations);
-        this.#scopedServices.push(scopedService);
+    createScope(inputs) {
+        // Scopes remove themselves from the set of scopes once they are disposed of, to prevent memory leaks.
+        return /** @type {any} */ (new this.#Scope((name) => this.#references[name], false, { ...inputs }, this.#scopedServices));
+    }
 
-        // Intercept the dispose function of the scoped service,
-        // so we can remove it from the list of scoped services.
-        // This is to prevent memory leaks.
-        const originalDispose = scopedService.dispose;
-        scopedService.dispose = () => {
-            const index = this.#scopedServices.indexOf(scopedService);
-            if(index === -1) {
-                return;
+    /**
+     * Create a new scoped service provider and wait for all of its asynchronous Scoped services to resolve.
+     * 
+     * If any of the asynchronous Scoped services fail to resolve, then the scope is disposed of and the error is rethrown.
+     * @param {Types.InitializeOptions<keyof Types.InferInstanceTypes<TRegistrations, "scoped">> & { inputs?: Types.ScopeInputs<TRegistrations> }=} options
+     * Options for awaiting the asynchronous Scoped services, along with the values for the scope inputs.
+     * @returns {Promise<ReturnType<FluxjectHostServiceProvider<TRegistrations>['createScope']>>}
+     * A new Scoped Service Provider, where all asynchronous Scoped services have been resolved.
+     */
+    async createScopeAsync(options) {
+        /** @type {FluxjectScopedServiceProvider<TRegistrations>} */
+        const scope = /** @type {any} */ (this.createScope(options?.inputs));
+        try {
+            await scope.initialize(options);
+        }
+        catch(err) {
+            // The initialization error is rethrown, even if any of the resolved services fail to be disposed of.
+            await Promise.resolve().then(() => scope.dispose()).catch(() => {});
+            throw err;
+        }
+        return /** @type {any} */ (scope);
+    }
+
+    /**
+     * Create a new scope that is bound to the asynchronous context of `fn`, so the scope can be retrieved with `currentScope()` 
+     * anywhere in the asynchronous call chain of `fn` without passing it around.
+     * 
+     * The scope is disposed of once `fn` settles. If `fn` throws, then the error is rethrown, even if the scope fails to be disposed of.
+     * @example
+     * app.use((req, res, next) => provider.runInScope(() => next()));
+     * 
+     * // ...anywhere within the request
+     * provider.currentScope().requestContext.user;
+     * @template T
+     * Return type of `fn`.
+     * @param {(scope: ReturnType<FluxjectHostServiceProvider<TRegistrations>['createScope']>) => T} fn
+     * The function to run within the new scope, which is also passed the scope.
+     * @param {Types.ScopeInputs<TRegistrations>=} inputs
+     * Values for the scope inputs of the new scope.
+     * @returns {Promise<Awaited<T>>}
+     * The return value of `fn`, once the scope has been disposed of.
+     */
+    async runInScope(fn, inputs) {
+        /** @type {FluxjectScopedServiceProvider<TRegistrations>} */
+        const scope = /** @type {any} */ (this.createScope(inputs));
+        let result;
+        try {
+            result = await this.#ambientScopes.run(scope, () => fn(/** @type {any} */ (scope)));
+        }
+        catch(err) {
+            await Promise.resolve().then(() => scope.dispose()).catch(() => {});
+            throw err;
+        }
+        await scope.dispose();
+        return result;
+    }
+
+    /**
+     * Get the scope that was created by the innermost `runInScope()` call in the current asynchronous context.
+     * @returns {ReturnType<FluxjectHostServiceProvider<TRegistrations>['createScope']>}
+     * The ambient scope.
+     * @throws {FluxjectError} If this is called outside of `runInScope()`.
+     */
+    currentScope() {
+        const scope = this.#ambientScopes.getStore();
+        if(scope === undefined) {
+            throw new FluxjectError(`There is no current scope. ("currentScope" can only be called within "runInScope")`);
+        }
+        return /** @type {any} */ (scope);
+    }
+
+    /**
+     * Resolve the service named `name`, returning a handle to its actual instance. (Instead of the lazy reference from accessing `provider[name]`)
+     * 
+     *   - Transient services are created, where the new instance is owned by the handle. (See `create`)
+     *   - All other services return the instance held by the provider, where disposing of the handle has no effect.
+     * @example
+     * using handle = provider.resolve("emailSender");
+     * handle.instance.connect();
+     * handle.instance.send(message);
+     * @template {keyof Types.InferInstanceTypes<TRegistrations, "singleton"|"transient">} TServiceName
+     * Name of the service to resolve.
+     * @param {TServiceName} name
+     * Name of the service to resolve.
+     * @returns {Types.Handle<Types.InferInstanceTypes<TRegistrations, "singleton"|"transient">[TServiceName]>}
+     * A handle to the resolved instance.
+     */
+    resolve(name) {
+        return resolveHandle(this, this.#registrations, /** @type {string} */ (name));
+    }
+
+    /**
+     * Create a new instance of the Transient service named `name`, which stays the same instance for as long as the returned handle is used.
+     * 
+     * The instance is owned by the handle, so it is only disposed of once the handle is disposed of (e.g., with `using`), never by the provider.
+     * @example
+     * await using handle = provider.create("reportBuilder");
+     * handle.instance.addHeader();
+     * handle.instance.addRows(rows);
+     * @template {keyof Types.InferInstanceTypes<TRegistrations, "transient">} TServiceName
+     * Name of the Transient service to create.
+     * @param {TServiceName} name
+     * Name of the Transient service to create.
+     * @returns {Types.Handle<Types.InferInstanceTypes<TRegistrations, "transient">[TServiceName]>}
+     * A handle that owns the new instance.
+     */
+    create(name) {
+        return createHandle(this, this.#registrations, /** @type {string} */ (name));
+    }
+
+    /**
+     * Instantiate all Singleton services that were registered with a factory function and wait for any of them that return a Promise.
+     * 
+     * Once this resolves, the asynchronous Singleton services can be used as if they were synchronous.  
+     * Singleton services registered with a class constructor remain lazy.
+     * @param {Types.InitializeOptions<keyof Types.InferInstanceTypes<TRegistrations, "singleton">>=} options
+     * Options for awaiting the asynchronous Singleton services.
+     * @returns {Promise<void>}
+     */
+    async initialize(options) {
+        await initialize((name) => this.#references[name], this.#registrations, "singleton", this.#options, options);
+    }
+
+    /**
+     * Get every service registered on this provider and the dependencies between them that have been observed so far.
+     * 
+     * A dependency is observed the first time a service resolves another service, from this provider or any scope created from it.
+     * @example
+     * import { toMermaid } from "fluxject";
+     * 
+     * provider.orderService.placeOrder(order);
+     * console.log(toMermaid(provider.graph()));
+     * @returns {Types.ServiceGraph}
+     * The services and observed dependencies, which can be exported with `toJSON`, `toDot` or `toMermaid`.
+     */
+    graph() {
+        return graphOf(this.#registrations, this.#graph);
+    }
+
+    /**
+     * Create a new provider from the same registrations as this provider, where the given services are replaced with the given instances.
+     * 
+     * Services that depend on a replaced service will have the replacement injected instead. The new provider does not share 
+     * any instances with this provider.
+     * @example
+     * const testProvider = provider.withOverrides({ database: new InMemoryDatabase() });
+     * @param {Types.InstanceOverrides<TRegistrations>} overrides
+     * The instances that should replace the registered services.
+     * @returns {Types.Widen<FluxjectHostServiceProvider<TRegistrations> & Types.InferInstanceTypes<TRegistrations, "singleton"|"transient">>}
+     * A new Host Service Provider with the replacements made.
+     */
+    withOverrides(overrides) {
+        /** @type {Record<string, Types.Registration<any,any>>} */
+        const registrations = { ...this.#registrations };
+        for(const key in overrides) {
+            const registration = registrations[key];
+            if(registration === undefined) {
+                throw new FluxjectError(`Cannot override "${String(key)}", since it is not registered.`);
             }
-            this.#scopedServices.splice(index, 1);
-            return originalDispose.bind(scopedService)();
+            const instance = overrides[key];
+            registrations[key] = {
+                lifetime: registration.lifetime,
+                factory: () => instance,
+                external: true
+            };
         }
-        return /** @type {any} */ (scopedService);
+        return /** @type {any} */ (new FluxjectHostServiceProvider(registrations, this.#options));
     }
 
     /**
@@ -92,10 +332,14 @@ export class FluxjectHostServiceProvider {
      * 
      * This will also dispose of all scoped services that have been created by this provider.
      * 
+     * Disposal continues past any service that fails to be disposed of, and a `DisposalError` naming every failing service
+     * is thrown (or rejected) once every service has been disposed of.
+     * @param {Types.DisposeOptions=} options
+     * Options for disposing of the services.
      * @returns {keyof {[K in keyof Types.InferInstanceTypes<TRegistrations, "singleton"|"transient"> as Types.InferInstanceTypes<TRegistrations, "singleton"|"transient">[K] extends { [Symbol.asyncDispose]: () => Promise<void> } ? K : never]: undefined} extends never ? void : Promise<void>}
      * Returns a Promise if any of the services have the `Symbol.asyncDispose` method defined.
      */
-    dispose() {
+    dispose(options) {
         // This bug occurs when someone tries to call `dispose` from a receiver other than the original provider.
         // An example of this would be like: `return provider.dispose` instead of `return () => provider.dispose()`.
         try {
@@ -110,48 +354,75 @@ export class FluxjectHostServiceProvider {
             throw err;
         }
 
+        /** @type {Types.DisposalFailure[]} */
+        const failures = [];
+
         /**
-         * Disposes of all Scoped services.
+         * Disposes of all Scoped services, collecting the failures of every scope.
          */
         const disposeScopes = () => {
+            /**
+             * @param {unknown} err
+             */
+            const collect = (err) => {
+                if(!(err instanceof DisposalError)) {
+                    throw err;
+                }
+                failures.push(...err.failures);
+            }
             const promises = [];
-            for(const scopedService of this.#scopedServices) {
-                const maybePromise = scopedService.dispose();
-                if(isPromise(maybePromise)) {
-                    promises.push(maybePromise);
+            // Each scope removes itself from the set of scopes as it is disposed of, so a copy is iterated.
+            for(const scopedService of [...this.#scopedServices]) {
+                try {
+                    const maybePromise = scopedService.dispose(options);
+                    if(isPromise(maybePromise)) {
+                        promises.push(maybePromise.catch(collect));
+                    }
+                }
+                catch(err) {
+                    collect(err);
                 }
             }
             if(promises.length > 0) {
                 return Promise.all(promises).then(() => {
-                    this.#scopedServices = [];
+                    this.#scopedServices.clear();
                 });
             }
-            this.#scopedServices = [];
+            this.#scopedServices.clear();
         }
 
         /**
-         * Disposes of all Singleton services.
+         * Disposes of all Singleton services, where every service is disposed of before the services it depends on.
          */
         const disposeSingletons = () => {
-            const promises = [];
-            for(const key in this.#references) {
-                const service = this.#references[key];
-                if(!service) {
-                    continue;
-                }
-                /** @type {any} */ (service[Symbol.dispose])?.();
-                const maybePromise = /** @type {any} */ (service[Symbol.asyncDispose])?.();
-                if(isPromise(maybePromise)) {
-                    promises.push(maybePromise);
-                }
-                delete this.#references[key];
-            }
-            if(promises.length > 0) {
-                return Promise.all(promises).then(() => {
+            // Externally owned instances are never disposed of by the provider. (Collections are disposed of through their elements)
+            const names = Object.keys(this.#references).filter(key => {
+                const registration = this.#registrations[key];
+                return this.#references[key] !== undefined && !registration.external && !registration.collection;
+            });
+            const result = disposeInOrder(names, this.#registrations, this.#graph, this.#options.disposal ?? "parallel", options, failures, (name) => {
+                const service = this.#references[name];
+                delete this.#references[name];
+                return disposeReference(service);
+            });
+            // Transient services that were injected into services that were never disposed of are disposed of last.
+            if(isPromise(result)) {
+                return result.then(() => {
                     this.#references = {};
+                    return disposeInjections(this.#injections, failures);
                 });
             }
             this.#references = {};
+            return disposeInjections(this.#injections, failures);
+        }
+
+        /**
+         * Throws a `DisposalError` if any of the services failed to be disposed of.
+         */
+        const report = () => {
+            if(failures.length > 0) {
+                throw new DisposalError(failures);
+            }
         }
 
         // Dispose all Scoped services first.
@@ -160,11 +431,15 @@ export class FluxjectHostServiceProvider {
         // If there are any promises, then return a promise that resolves when all promises are resolved
         if(isPromise(disposeScopesResult)) {
             // After disposing of all scoped services, dispose of all singleton services (and return undefined)
-            return /** @type {any} */ (disposeScopesResult.then(disposeSingletons).then(() => undefined));
+            return /** @type {any} */ (disposeScopesResult.then(disposeSingletons).then(report));
         }
 
         // Dispose of all singleton services.
-        return /** @type {any} */ (disposeSingletons());
+        const disposeSingletonsResult = disposeSingletons();
+        if(isPromise(disposeSingletonsResult)) {
+            return /** @type {any} */ (disposeSingletonsResult.then(report));
+        }
+        return /** @type {any} */ (report());
     }
 }
 
@@ -175,55 +450,272 @@ export class FluxjectHostServiceProvider {
  */
 export class FluxjectScopedServiceProvider {
     #registrations;
-    /** @type {Record<string, LazyReference<any>|undefined>} */
+    #options;
+    /**
+     * References that belong to this scope, which are only created once they are first resolved.
+     * @type {Map<string, any>}
+     */
     #references;
+    /**
+     * Get the reference to a service that this scope does not own from the Host Service Provider (or the parent scope).
+     * @type {(name: string) => any}
+     */
+    #inherited;
+    /** @type {DependencyGraph} */
+    #graph;
+    #inherits;
+    /** @type {Set<FluxjectScopedServiceProvider>} */
+    #childScopes;
+    /**
+     * Scopes of the provider this scope was created from, which this scope removes itself from once it is disposed of.
+     * @type {Set<FluxjectScopedServiceProvider>}
+     */
+    #siblings;
+    /** @type {Record<string, any>} */
+    #inputs;
+    /** @type {Injections} */
+    #injections;
+    /** @type {ScopeConstructor} */
+    #Scope;
+    /** @type {boolean} */
+    #disposed;
 
     /**
-     * Construct a new `FluxjectScopedServiceProvider` instance.
-     * @param {Record<string, LazyReference<any>|undefined>} references 
-     * References to Singletons and Transients from the Host Service Provider.
+     * Define the class of every scope created from a provider with the given registrations.
+     * 
+     * The getter of every service is defined once on the prototype of the class (instead of on every scope), so creating 
+     * a scope does not depend on the number of registrations.
+     * @param {Record<string, Types.Registration<any,any>>} registrations
+     * Registrations configured on the container. (Including the registrations of every element of each collection)
+     * @param {Types.ContainerOptions} options
+     * Options configured on the container.
+     * @param {Map<string, Set<string>>} observed
+     * Dependencies observed by the Host Service Provider, which every scope adds the dependencies it observes to.
+     * @returns {ScopeConstructor}
+     */
+    static define(registrations, options, observed) {
+        const injectionNames = perInjectionNames(registrations, options);
+        const Scope = class extends FluxjectScopedServiceProvider {
+            /**
+             * @param {(name: string) => any} inherited
+             * @param {boolean} inherits
+             * @param {Record<string, any>} inputs
+             * @param {Set<FluxjectScopedServiceProvider>} siblings
+             */
+            constructor(inherited, inherits, inputs, siblings) {
+                super(registrations, options, injectionNames, observed, inherited, inherits, inputs, siblings);
+            }
+        };
+        for(const name in registrations) {
+            const registration = registrations[name];
+            // Elements of a collection are only accessible through the collection.
+            if(registration.collectionName !== undefined) {
+                continue;
+            }
+            // Scope inputs that were not supplied throw when they are accessed, naming the service that is being instantiated (if any).
+            //   Services that access the input from their injected provider are named by `injectable` instead.
+            if(registration.scopeInput) {
+                Object.defineProperty(Scope.prototype, name, {
+                    get: checkedAccess(name, registration, options, /** @this {FluxjectScopedServiceProvider} */ function() {
+                        if(!(name in this.#inputs)) {
+                            throw new MissingScopeInputError(name, resolving.at(-1)?.name);
+                        }
+                        return this.#inputs[name];
+                    })
+                });
+                continue;
+            }
+            Object.defineProperty(Scope.prototype, name, {
+                get: checkedAccess(name, registration, options, isDirect(name, registration, options)
+                    ? /** @this {FluxjectScopedServiceProvider} */ function() { return instanceOf(this.#reference(name)); }
+                    : /** @this {FluxjectScopedServiceProvider} */ function() { return this.#reference(name); })
+            });
+        }
+        return Scope;
+    }
+
+    /**
+     * Construct a new `FluxjectScopedServiceProvider` instance. (Scopes are constructed from the class returned by `define`)
      * @param {TRegistrations} registrations 
      * Registrations configured on the container.
+     * @param {Types.ContainerOptions} options
+     * Options configured on the container.
+     * @param {Set<string>} injectionNames
+     * Names of the Transient services that are provided per injection.
+     * @param {Map<string, Set<string>>} observed
+     * Dependencies observed by the Host Service Provider, which this scope adds the dependencies it observes to.
+     * @param {(name: string) => any} inherited
+     * Get the reference to a service that this scope does not own from the Host Service Provider. (Or from the parent scope, if `inherits` is true)
+     * @param {boolean} inherits
+     * True if this is a child scope, where only the innermost Scoped services get new instances and every other 
+     * Scoped service is inherited from the parent scope.
+     * @param {Record<string, any>} inputs
+     * Values for the scope inputs, which are provided as-is.
+     * @param {Set<FluxjectScopedServiceProvider>} siblings
+     * Scopes of the provider this scope is created from, which this scope is added to until it is disposed of.
      */
-    constructor(references, registrations) {
-        const registrationEntries = Object.entries(registrations);
-        const referenceEntries = registrationEntries
-            // Filter out all services not of lifetime "scoped"
-            .filter(([name,registration]) => registration.lifetime === "scoped")
-            // Create a new reference for each registration
-            .map(([name,registration]) => {
-                return [name, reference(name, registration, injectable(this, name), false)];
-            });
-        
-        /** @type {Record<string, LazyReference<any>|undefined>} */
-        const newReferences = Object.fromEntries(referenceEntries);
-        this.#registrations = {
-            ...registrations
-        };
-        this.#references = { 
-            ...references,
-            ...newReferences
-        };
+    constructor(registrations, options, injectionNames, observed, inherited, inherits, inputs, siblings) {
+        for(const name in inputs) {
+            if(!registrations[name]?.scopeInput) {
+                throw new FluxjectError(`Cannot supply "${name}" to the scope, since it is not declared as a scope input. (Declare it with "m.scopeInput(...)")`);
+            }
+        }
+        this.#registrations = registrations;
+        this.#options = options;
+        this.#references = new Map();
+        this.#inherited = inherited;
+        this.#graph = { dependencies: new Map(), instantiated: [], observed };
+        this.#inherits = inherits;
+        this.#childScopes = new Set();
+        this.#siblings = siblings;
+        this.#inputs = inputs;
+        this.#injections = createInjections(injectionNames, (name) => this.#reference(name));
+        this.#Scope = /** @type {ScopeConstructor} */ (/** @type {unknown} */ (new.target));
+        this.#disposed = false;
+        injections.set(this, this.#injections);
+        siblings.add(this);
+    }
 
-        // For every reference, create a getter for the service on this object.
-        for(const registrationName in registrations) {
-            Object.defineProperty(this, registrationName, {
-                get: () => {
-                    return this.#references[registrationName];
-                }
-            })
+    /**
+     * Get the reference to the service named `name`, creating it the first time it is resolved if it belongs to this scope.
+     * @param {string} name
+     * Name of the service.
+     * @returns {any}
+     * The reference to the service, or undefined if this scope has been disposed of.
+     */
+    #reference(name) {
+        if(this.#disposed) {
+            return undefined;
+        }
+        if(this.#references.has(name)) {
+            return this.#references.get(name);
+        }
+        const registration = this.#registrations[name];
+        // Only Scoped services (and, in a child scope, only innermost Scoped services) belong to the scope.
+        //   Collections are always re-assembled, since any of their elements may be innermost.
+        //   Non-scoped services that are released per scope (e.g., pooled services) get their own reference in every (outermost) scope.
+        const owned = (registration.lifetime === "scoped" && !registration.scopeInput && (!this.#inherits || registration.innermost || registration.collection))
+            || (!this.#inherits && releasesPerScope(registration));
+        if(!owned) {
+            return this.#inherited(name);
         }
+        const reference = this.#createReference(name, registration);
+        this.#references.set(name, reference);
+        return reference;
     }
 
     /**
-     * Dispose of all Scoped services under this provider.  
+     * Create the reference to a service that belongs to this scope.
+     * @param {string} name
+     * Name of the service.
+     * @param {Types.Registration<any,any>} registration
+     * Registration of the service.
+     * @returns {any}
+     */
+    #createReference(name, registration) {
+        if(releasesPerScope(registration)) {
+            return scopeReference(name, registration, this.#inherited(name), this.#options, this.#graph);
+        }
+        // Externally owned instances are stored as-is, since there is nothing to instantiate.
+        if(registration.external) {
+            return /** @type {() => any} */ (registration.factory)();
+        }
+        // Collections are assembled from the references of their elements.
+        if(registration.collection) {
+            dependenciesOf(this.#graph, name, registration);
+            return Object.freeze(registration.collection.map((_, index) => this.#reference(`${name}[${index}]`)));
+        }
+        return reference(name, registration, injectable(this, name, registration, this.#graph), false, this.#options, this.#graph);
+    }
+
+    /**
+     * Create a new child scope, which inherits the Scoped services of this scope, except for those registered as `innermost`, 
+     * which get a new instance in every child scope.
      * 
-     * This will also dispose of all scoped services that have been created by this provider.
+     * Child scopes are disposed of when this scope is disposed of, and they only dispose of their own innermost services.
+     * @param {Types.ScopeInputs<TRegistrations>=} inputs
+     * Values for the scope inputs of the child scope, in addition to (or replacing) the scope inputs of this scope.
+     * @returns {Types.Widen<FluxjectScopedServiceProvider<TRegistrations> & Types.InferInstanceTypes<TRegistrations>>}
+     * A new Scoped Service Provider.
+     */
+    createScope(inputs) {
+        return /** @type {any} */ (new this.#Scope((name) => this.#reference(name), true, { ...this.#inputs, ...inputs }, this.#childScopes));
+    }
+
+    /**
+     * Resolve the service named `name`, returning a handle to its actual instance. (Instead of the lazy reference from accessing `scope[name]`)
      * 
+     *   - Transient services are created, where the new instance is owned by the handle. (See `create`)
+     *   - All other services return the instance held by the provider, where disposing of the handle has no effect.
+     * @example
+     * using handle = scope.resolve("emailSender");
+     * handle.instance.connect();
+     * handle.instance.send(message);
+     * @template {keyof Types.InferInstanceTypes<TRegistrations>} TServiceName
+     * Name of the service to resolve.
+     * @param {TServiceName} name
+     * Name of the service to resolve.
+     * @returns {Types.Handle<Types.InferInstanceTypes<TRegistrations>[TServiceName]>}
+     * A handle to the resolved instance.
+     */
+    resolve(name) {
+        return resolveHandle(this, this.#registrations, /** @type {string} */ (name));
+    }
+
+    /**
+     * Create a new instance of the Transient service named `name`, which stays the same instance for as long as the returned handle is used.
+     * 
+     * The instance is owned by the handle, so it is only disposed of once the handle is disposed of (e.g., with `using`), never by the provider.
+     * @example
+     * await using handle = scope.create("reportBuilder");
+     * handle.instance.addHeader();
+     * handle.instance.addRows(rows);
+     * @template {keyof Types.InferInstanceTypes<TRegistrations, "transient">} TServiceName
+     * Name of the Transient service to create.
+     * @param {TServiceName} name
+     * Name of the Transient service to create.
+     * @returns {Types.Handle<Types.InferInstanceTypes<TRegistrations, "transient">[TServiceName]>}
+     * A handle that owns the new instance.
+     */
+    create(name) {
+        return createHandle(this, this.#registrations, /** @type {string} */ (name));
+    }
+
+    /**
+     * Instantiate all Scoped services that were registered with a factory function and wait for any of them that return a Promise.
+     * 
+     * Once this resolves, the asynchronous Scoped services can be used as if they were synchronous.  
+     * Scoped services registered with a class constructor remain lazy.
+     * @param {Types.InitializeOptions<keyof Types.InferInstanceTypes<TRegistrations, "scoped">>=} options
+     * Options for awaiting the asynchronous Scoped services.
+     * @returns {Promise<void>}
+     */
+    async initialize(options) {
+        await initialize((name) => this.#reference(name), this.#registrations, "scoped", this.#options, options);
+    }
+
+    /**
+     * Get every service registered on this provider and the dependencies between them that have been observed so far.
+     * 
+     * Dependencies are shared with the Host Service Provider, so this is the same graph as the Host Service Provider's.
+     * @returns {Types.ServiceGraph}
+     * The services and observed dependencies, which can be exported with `toJSON`, `toDot` or `toMermaid`.
+     */
+    graph() {
+        return graphOf(this.#registrations, this.#graph);
+    }
+
+    /**
+     * Dispose of all Scoped services under this provider.  
+     * 
+     * Disposal continues past any service that fails to be disposed of, and a `DisposalError` naming every failing service
+     * is thrown (or rejected) once every service has been disposed of.
+     * @param {Types.DisposeOptions=} options
+     * Options for disposing of the services.
      * @returns {keyof {[K in keyof Types.InferInstanceTypes<TRegistrations, "scoped"> as Types.InferInstanceTypes<TRegistrations, "scoped">[K] extends { [Symbol.asyncDispose]: () => Promise<void> } ? K : never]: undefined} extends never ? void : Promise<void>}
      * Returns a Promise if any of the services have the `Symbol.asyncDispose` method defined.
      */
-    dispose() {
+    dispose(options) {
         // This bug occurs when someone tries to call `dispose` from a receiver other than the original provider.
         // An example of this would be like: `return provider.dispose` instead of `return () => provider.dispose()`.
         try {
@@ -238,100 +730,503 @@ export class FluxjectScopedServiceProvider {
             throw err;
         }
 
-        let promises = [];
+        // A scope is only disposed of once.
+        if(!this.#siblings.delete(this)) {
+            return /** @type {any} */ (undefined);
+        }
 
-        // Dispose of all scoped services
-        for(const key in this.#registrations) {
-            const registration = this.#registrations[key];
+        /** @type {Types.DisposalFailure[]} */
+        const failures = [];
 
-            // Only dispose of scoped services
-            if(registration.lifetime !== "scoped") {
-                continue;
+        /**
+         * Disposes of all child scopes, collecting the failures of every child scope.
+         */
+        const disposeChildScopes = () => {
+            /**
+             * @param {unknown} err
+             */
+            const collect = (err) => {
+                if(!(err instanceof DisposalError)) {
+                    throw err;
+                }
+                failures.push(...err.failures);
             }
-
-            const service = this.#references[key];
-            if(!service) {
-                continue;
+            const promises = [];
+            // Each child scope removes itself from the list of child scopes as it is disposed of, so a copy is iterated.
+            for(const childScope of [...this.#childScopes]) {
+                try {
+                    const maybePromise = childScope.dispose(options);
+                    if(isPromise(maybePromise)) {
+                        promises.push(maybePromise.catch(collect));
+                    }
+                }
+                catch(err) {
+                    collect(err);
+                }
             }
-            
-            // Dispose of the service (always synchronous then asynchronous)
-            /** @type {any} */ (service[Symbol.dispose])?.();
-            const maybePromise = /** @type {any} */ (service[Symbol.asyncDispose])?.();
+            this.#childScopes.clear();
+            return promises.length > 0 ? Promise.all(promises) : undefined;
+        }
 
-            // If the service has an async dispose, then add it to the promises array
-            if(isPromise(maybePromise)) {
-                promises.push(maybePromise);
-            }
+        /**
+         * Disposes of all Scoped services that belong to this scope.
+         */
+        const disposeServices = () => {
+            // Only dispose of the services that belong to this scope and have been resolved. (Externally owned instances are never disposed of by the provider)
+            //   Collections are disposed of through their elements.
+            const names = [...this.#references.keys()].filter(key => {
+                const registration = this.#registrations[key];
+                return !registration.external && !registration.collection;
+            });
 
-            // Delete the reference
-            delete this.#references[key];
+            // Dispose of every service before the services it depends on.
+            //   References that have been disposed of are kept as undefined, so they are never created again.
+            const result = disposeInOrder(names, this.#registrations, this.#graph, this.#options.disposal ?? "parallel", options, failures, (name) => {
+                const service = this.#references.get(name);
+                this.#references.set(name, undefined);
+                return disposeReference(service);
+            });
+
+            // Clear all references (This service provider will be out of order after this)
+            //   Transient services that were injected into services that were never disposed of are disposed of last.
+            if(isPromise(result)) {
+                return result.then(() => {
+                    this.#disposed = true;
+                    this.#references.clear();
+                    return disposeInjections(this.#injections, failures);
+                });
+            }
+            this.#disposed = true;
+            this.#references.clear();
+            return disposeInjections(this.#injections, failures);
         }
 
-        // Clear all references (This service provider will be out of order after this)
-        this.#references = {};
+        /**
+         * Throws a `DisposalError` if any of the services failed to be disposed of.
+         */
+        const report = () => {
+            if(failures.length > 0) {
+                throw new DisposalError(failures);
+            }
+        }
 
-        // If there are any promises, then return a promise that resolves when all promises are resolved
-        if(promises.length > 0) {
+        // Dispose of all child scopes first, since their services may depend on the services of this scope.
+        const disposeChildScopesResult = disposeChildScopes();
+        if(isPromise(disposeChildScopesResult)) {
+            //@ts-expect-error - This is a Promise<void> return intended to suppress the `return` error.
+            return disposeChildScopesResult.then(disposeServices).then(report);
+        }
+        const disposeServicesResult = disposeServices();
+        if(isPromise(disposeServicesResult)) {
             //@ts-expect-error - This is a Promise<void> return intended to suppress the `return` error.
-            return Promise.all(promises).then(() => {});
+            return disposeServicesResult.then(report);
         }
+        report();
         return /** @type {void} */ (undefined);
     }
 }
 
 /**
- * Thrown when a circular dependency is detected.  
- * 
- * This typically occurs when two services depend on each other inside their constructors.
+ * Add a registration for each element of every collection in `registrations`, named after the collection and the element's index. (e.g., `handlers[0]`)
  * 
- * You can resolve this by deferring any de-reference of your dependencies until after the constructor has completed.
+ * This allows each element to be instantiated and disposed of according to its own lifetime.
+ * @template {Record<string, Types.Registration<any,any>>} TRegistrations
+ * @param {TRegistrations} registrations
+ * Registrations configured on the container.
+ * @returns {TRegistrations}
+ * The registrations, including a registration for every element of each collection.
+ */
+function expandCollections(registrations) {
+    /** @type {Record<string, Types.Registration<any,any>>} */
+    const expanded = {};
+    for(const name in registrations) {
+        const registration = registrations[name];
+        expanded[name] = registration;
+        registration.collection?.forEach((element, index) => {
+            expanded[`${name}[${index}]`] = { ...element, collectionName: name };
+        });
+    }
+    return /** @type {TRegistrations} */ (expanded);
+}
+
+/**
+ * Assemble the collections of `lifetime` from the references of their elements.
+ * @param {Record<string, any>} references
+ * References that belong to the provider, including the references of every element.
+ * @param {Record<string, Types.Registration<any,any>>} registrations
+ * Registrations configured on the container. (Including the registrations of every element)
+ * @param {"singleton"|"scoped"} lifetime
+ * Lifetime of the collections to assemble.
+ */
+function assembleCollections(references, registrations, lifetime) {
+    for(const name in registrations) {
+        const registration = registrations[name];
+        if(!registration.collection || registration.lifetime !== lifetime) {
+            continue;
+        }
+        references[name] = Object.freeze(registration.collection.map((_, index) => references[`${name}[${index}]`]));
+    }
+}
+
+/**
+ * Class of the scopes created from a provider. (See `FluxjectScopedServiceProvider.define`)
+ * @typedef {new (inherited: (name: string) => any, inherits: boolean, inputs: Record<string, any>, siblings: Set<FluxjectScopedServiceProvider>) => FluxjectScopedServiceProvider} ScopeConstructor
+ */
+
+/**
+ * Dependencies between the services of a provider, which determine the order the services are disposed of in.
+ * @typedef DependencyGraph
+ * @prop {Map<string, Set<string>>} dependencies
+ * Names of the services each service has resolved (or declared it depends on).
+ * @prop {string[]} instantiated
+ * Names of the services in the order they were instantiated.
+ * @prop {Map<string, Set<string>>} observed
+ * Names of the services each service has resolved, which is shared by a Host Service Provider and every scope created from it.
+ */
+
+/**
+ * Transient services that a provider provides per injection, along with the instances it has provided that have not been disposed of yet.
+ * @typedef Injections
+ * @prop {Set<string>} names
+ * Names of the Transient services that are provided per injection.
+ * @prop {(name: string) => any} create
+ * Create a new reference to the Transient service named `name`, which is owned by the dependent it is injected into.
+ * @prop {Set<OwnedReference>} owned
+ * References that were injected into dependents, which have not been disposed of yet.
+ * @prop {Set<Promise<unknown>>} pending
+ * Disposals of injected references (from dependents that were disposed of) that have not settled yet.
+ */
+
+/**
+ * Reference to a Transient service that was injected into (and is owned by) a single dependent.
+ * @typedef OwnedReference
+ * @prop {string} name
+ * Name of the Transient service.
+ * @prop {any} reference
+ * The reference that was injected.
+ */
+
+/**
+ * Get the names of every Transient service in `registrations` that is provided per injection.
+ * @param {Record<string, Types.Registration<any,any>>} registrations
+ * Registrations of the provider.
+ * @param {Types.ContainerOptions} options
+ * Options configured on the container.
+ * @returns {Set<string>}
+ */
+function perInjectionNames(registrations, options) {
+    return new Set(Object.keys(registrations).filter(name => {
+        const registration = registrations[name];
+        return registration.lifetime === "transient"
+            && !registration.custom
+            && !registration.external
+            && registration.collectionName === undefined
+            && (registration.transientMode ?? options.transientMode ?? "per-access") === "per-injection";
+    }));
+}
+
+/**
+ * Create the injections of a provider.
+ * @param {Set<string>} names
+ * Names of the Transient services that are provided per injection. (See `perInjectionNames`)
+ * @param {(name: string) => any} referenceOf
+ * Get the provider's reference to the service named `name`.
+ * @returns {Injections}
+ */
+function createInjections(names, referenceOf) {
+    return {
+        names,
+        create: (name) => {
+            const reference = referenceOf(name);
+            return LazyReference.owned(reference, ownedInstantiators.get(reference));
+        },
+        owned: new Set(),
+        pending: new Set()
+    };
+}
+
+/**
+ * Wrap the injectable proxy `scope` for a single instantiation, so that the dependent gets its own instance of every 
+ * Transient service that is provided per injection, for as long as it lives.
+ * @param {any} scope
+ * The injectable proxy that the dependent is instantiated with.
+ * @param {Injections} providerInjections
+ * Injections of the provider that `scope` belongs to.
+ * @param {OwnedReference[]} owned
+ * References that were injected into the dependent, which every new reference is added to.
+ * @returns {any}
+ */
+function perInjection(scope, providerInjections, owned) {
+    /** @type {Map<string, any>} */
+    const references = new Map();
+    return new Proxy(scope, {
+        get: (t,p,r) => {
+            // The service is still resolved through `scope`, so it is recorded as a dependency.
+            const value = scope[p];
+            if(typeof p !== "string" || !providerInjections.names.has(p) || value === undefined) {
+                return value;
+            }
+            if(!references.has(p)) {
+                /** @type {OwnedReference} */
+                const entry = { name: p, reference: providerInjections.create(p) };
+                providerInjections.owned.add(entry);
+                owned.push(entry);
+                references.set(p, entry.reference);
+            }
+            return references.get(p);
+        }
+    });
+}
+
+/**
+ * Dispose of the references that were injected into a dependent, once the dependent has been disposed of.
+ * @param {Injections} providerInjections
+ * Injections of the provider the references were injected from.
+ * @param {OwnedReference[]} owned
+ * References that were injected into the dependent.
+ * @returns {any}
+ * A Promise if any of the references were disposed of asynchronously, otherwise undefined.
+ */
+function releaseInjections(providerInjections, owned) {
+    const promises = [];
+    for(const entry of owned.splice(0)) {
+        providerInjections.owned.delete(entry);
+        const result = LazyReference.dispose(entry.reference);
+        if(isPromise(result)) {
+            // The provider awaits the disposal when it is disposed of, even if the dependent's disposal was not awaited.
+            const pending = result.catch(() => {}).finally(() => providerInjections.pending.delete(pending));
+            providerInjections.pending.add(pending);
+            promises.push(result);
+        }
+    }
+    return promises.length > 0 ? Promise.all(promises) : undefined;
+}
+
+/**
+ * Dispose of every reference that was injected from a provider and has not been disposed of yet, and wait for every pending disposal.
+ * @param {Injections} providerInjections
+ * Injections of the provider being disposed of.
+ * @param {Types.DisposalFailure[]} failures
+ * Failures that occurred while disposing, which every failure is added to.
+ * @returns {any}
+ * A Promise if anything was disposed of asynchronously, otherwise undefined.
+ */
+function disposeInjections(providerInjections, failures) {
+    const promises = [...providerInjections.pending];
+    for(const { name, reference } of providerInjections.owned) {
+        try {
+            const result = LazyReference.dispose(reference);
+            if(isPromise(result)) {
+                promises.push(result.catch(error => {
+                    failures.push({ service: name, lifetime: "transient", error });
+                }));
+            }
+        }
+        catch(error) {
+            failures.push({ service: name, lifetime: "transient", error });
+        }
+    }
+    providerInjections.owned.clear();
+    return promises.length > 0 ? Promise.all(promises) : undefined;
+}
+
+/**
+ * Get every service in `registrations` and the dependencies between them that were observed by the providers sharing `graph`.
  * 
- * @example
- * ```ts
- * // This would cause a circular dependency
- * class DependencyA {
- *   test = 1;
- *   constructor({ dependencyB }) {
- *     dependencyB.test;
- *   }
- * }
+ * Edges are ordered by the registration order of the dependent and then of the dependency, so the graph does not depend on the 
+ * order the services happened to be resolved in.
+ * @param {Record<string, Types.Registration<any,any>>} registrations
+ * Registrations of the provider. (Including the registrations of every element of each collection)
+ * @param {DependencyGraph} graph
+ * Dependency graph of the provider.
+ * @returns {Types.ServiceGraph}
+ */
+function graphOf(registrations, graph) {
+    const order = new Map(Object.keys(registrations).map((name, index) => [name, index]));
+    /** @type {Types.ServiceEdge[]} */
+    const edges = [];
+    for(const [name, index] of order) {
+        const registration = registrations[name];
+        // Collections depend on each of their elements, whether or not they have been resolved.
+        const dependencies = new Set(registration.collection?.map((_, element) => `${name}[${element}]`));
+        for(const dependency of graph.observed.get(name) ?? []) {
+            dependencies.add(dependency);
+        }
+        const sorted = [...dependencies].sort((a, b) => (order.get(a) ?? index) - (order.get(b) ?? index));
+        edges.push(...sorted.map(dependency => ({ from: name, to: dependency })));
+    }
+    return {
+        nodes: describeRegistrations(registrations),
+        edges
+    };
+}
+
+/**
+ * Get the set of names of the services that the service named `name` depends on, creating it from the declared dependencies if necessary.
  * 
- * class DependencyB {
- *   test = 2;
- *   constructor({ dependencyA }) {
- *     dependencyA.test;
- *   }
- * }
+ * The elements of a collection are recorded as dependencies of the collection.
+ * @param {DependencyGraph} graph
+ * Dependency graph of the provider the service belongs to.
+ * @param {string} name
+ * Name of the service/registration.
+ * @param {Types.Registration<any,any>} registration 
+ * Registration of the service.
+ * @returns {Set<string>}
+ */
+function dependenciesOf(graph, name, registration) {
+    let dependencies = graph.dependencies.get(name);
+    if(dependencies === undefined) {
+        dependencies = new Set(registration.dependencies ?? []);
+        registration.collection?.forEach((_, index) => dependencies?.add(`${name}[${index}]`));
+        graph.dependencies.set(name, dependencies);
+    }
+    return dependencies;
+}
+
+/**
+ * Group the services named `names` into levels, where every service is in a lower level than the services it depends on.
  * 
- * // but this would be ok
- * class DependencyC {
- *   test = 1;
- *   #dependencyD;
- *   constructor({ dependencyD }) {
- *     this.#dependencyD = dependencyD;
- *   }
- * }
+ * Services within the same level are ordered from the most recently instantiated to the least recently instantiated.
+ * @param {string[]} names
+ * Names of the services to group.
+ * @param {DependencyGraph} graph
+ * Dependency graph of the provider the services belong to.
+ * @returns {string[][]}
+ */
+function disposalLevels(names, graph) {
+    /** @type {Map<string, string[]>} */
+    const dependents = new Map();
+    for(const [name, dependencies] of graph.dependencies) {
+        for(const dependency of dependencies) {
+            dependents.set(dependency, [...(dependents.get(dependency) ?? []), name]);
+        }
+    }
+
+    /** @type {Map<string, number>} */
+    const levels = new Map();
+    const visiting = new Set();
+    /**
+     * Get the level of the service named `name`, which is one more than the highest level of any of its dependents.
+     * @param {string} name
+     * @returns {number}
+     */
+    const levelOf = (name) => {
+        const level = levels.get(name);
+        if(level !== undefined) {
+            return level;
+        }
+        // Services that depend on each other are disposed of in the order they were instantiated.
+        if(visiting.has(name)) {
+            return -1;
+        }
+        visiting.add(name);
+        let newLevel = 0;
+        for(const dependent of dependents.get(name) ?? []) {
+            newLevel = Math.max(newLevel, levelOf(dependent) + 1);
+        }
+        visiting.delete(name);
+        levels.set(name, newLevel);
+        return newLevel;
+    }
+
+    /**
+     * @param {string} name
+     */
+    const instantiatedAt = (name) => graph.instantiated.lastIndexOf(name);
+    const sorted = [...names].sort((a, b) => instantiatedAt(b) - instantiatedAt(a));
+    /** @type {string[][]} */
+    const grouped = [];
+    for(const name of sorted) {
+        const level = levelOf(name);
+        (grouped[level] ??= []).push(name);
+    }
+    return grouped.filter(Boolean);
+}
+
+/**
+ * Dispose of every service named `names`, where every service is disposed of before the services it depends on.
  * 
- * // You can still de-reference from one of the dependencies, though:
- * class DependencyD {
- *   test = 2;
- *   constructor({ dependencyC }) {
- *     dependencyC.test;
- *   }
- * }
- * ```
+ * Disposal continues past any service that fails to be disposed of, where each failure is added to `failures`.
+ * @param {string[]} names
+ * Names of the services to dispose of.
+ * @param {Record<string, Types.Registration<any,any>>} registrations
+ * Registrations of the services.
+ * @param {DependencyGraph} graph
+ * Dependency graph of the provider the services belong to.
+ * @param {"parallel"|"sequential"} mode
+ * Whether asynchronous disposals within the same dependency level are awaited in parallel or one at a time.
+ * @param {Types.DisposeOptions|undefined} options
+ * Options for disposing of the services.
+ * @param {Types.DisposalFailure[]} failures
+ * Failures of every service that failed to be disposed of.
+ * @param {(name: string) => any} dispose
+ * Function that disposes of a single service, returning a Promise if it was disposed of asynchronously.
+ * @returns {Promise<void>|undefined}
+ * A Promise if any of the services were disposed of asynchronously, otherwise undefined.
  */
-export class CircularDependencyError extends RangeError {
+function disposeInOrder(names, registrations, graph, mode, options, failures, dispose) {
     /**
-     * @param {string} serviceName 
-     * @param {any} stackTrace
+     * Dispose of a single service, adding its failure to `failures` instead of throwing.
+     * @param {string} name
+     * @returns {Promise<void>|undefined}
      */
-    constructor(serviceName, stackTrace) {
-        super(`Cannot resolve circular dependency (Origin: ${serviceName})`);
-        this.name = "CircularDependencyError";
-        Error.prepareStackTrace?.(this, stackTrace);
+    const disposeService = (name) => {
+        /**
+         * @param {unknown} error
+         */
+        const fail = (error) => {
+            failures.push({ service: name, lifetime: registrations[name].lifetime, error });
+        }
+        let result;
+        try {
+            result = dispose(name);
+        }
+        catch(error) {
+            fail(error);
+            return undefined;
+        }
+        if(!isPromise(result)) {
+            return undefined;
+        }
+        const timeout = options?.timeout;
+        if(timeout === undefined) {
+            return result.then(() => {}, fail);
+        }
+        /** @type {NodeJS.Timeout|undefined} */
+        let timer;
+        const timedOut = new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new DisposalTimeoutError(name, timeout)), timeout);
+        });
+        return Promise.race([result, timedOut])
+            .then(() => {}, fail)
+            .finally(() => clearTimeout(timer));
     }
-};
+
+    /**
+     * Dispose of every service in the given level.
+     * @param {string[]} level
+     * @returns {Promise<void>|undefined}
+     */
+    const disposeLevel = (level) => {
+        if(mode === "sequential") {
+            /** @type {Promise<void>|undefined} */
+            let result;
+            for(const name of level) {
+                result = isPromise(result) ? result.then(() => disposeService(name)) : disposeService(name);
+            }
+            return result;
+        }
+        const promises = level.map(disposeService).filter(result => isPromise(result));
+        return promises.length > 0 ? Promise.all(promises).then(() => {}) : undefined;
+    }
+
+    /** @type {Promise<void>|undefined} */
+    let result;
+    for(const level of disposalLevels(names, graph)) {
+        result = isPromise(result) ? result.then(() => disposeLevel(level)) : disposeLevel(level);
+    }
+    return result;
+}
 
 /**
  * Given the `factoryMethod` and `scope`, instantiate a new service.
@@ -345,21 +1240,187 @@ export class CircularDependencyError extends RangeError {
  * The scope to pass into the factory method
  * @param {boolean} isTransient
  * True if the service is transient, otherwise false.
+ * @param {Types.ContainerOptions} options
+ * Options configured on the container.
+ * @param {DependencyGraph} graph
+ * Dependency graph of the provider the service belongs to, which records the order the service was instantiated in.
  * @returns {any}
  * The instantiated service.
  */
-function reference(name, registration, scope, isTransient) {
+function reference(name, registration, scope, isTransient, options, graph) {
     const factory = registration.factory;
     const stackTrace = {};
+    const providerInjections = injections.get(scope);
+    const injectableScope = scope;
+
+    // Services that were included under a namespace are injected with the un-prefixed names of the services they were included with.
+    for(const namespace of registration.namespaces ?? []) {
+        scope = namespaced(scope, namespace);
+    }
+
+    const decorators = registration.decorators ?? [];
+    /**
+     * Inner instances of every decorated instance, from the outermost to the innermost instance.
+     * @type {WeakMap<object, any[]>}
+     */
+    const layers = new WeakMap();
+
+    /**
+     * Layer every decorator (in the order they were registered) over the given instance.
+     * @param {any} instance
+     * @param {any} services
+     * The provider the instance was instantiated with, which is passed to every decorator.
+     * @returns {any}
+     */
+    const decorate = (instance, services) => {
+        if(isPromise(instance)) {
+            return instance.then(resolved => decorate(resolved, services));
+        }
+        const innerInstances = [];
+        for(const decorator of decorators) {
+            innerInstances.unshift(instance);
+            instance = decorator(instance, services);
+        }
+        if(instance !== null && (typeof instance === "object" || typeof instance === "function")) {
+            layers.set(instance, innerInstances);
+        }
+        return instance;
+    }
+
+    /**
+     * Dispose of the given (decorated) instance, followed by each of its inner instances.
+     * @param {any} instance
+     * @returns {any}
+     */
+    const disposeLayers = (instance) => {
+        let result;
+        for(const layer of new Set([instance, ...(layers.get(instance) ?? [])])) {
+            result = isPromise(result) ? result.then(() => disposeInstance(layer)) : disposeInstance(layer);
+        }
+        return result;
+    }
+
+    /** @type {Types.LifecycleContext} */
+    const context = { service: name, lifetime: registration.lifetime };
+    /** @type {((instance: any) => any)[]} */
+    const activationHooks = [];
+    /** @type {((instance: any) => any)[]} */
+    const disposalHooks = [];
+    if(registration.onActivated) {
+        const onActivated = registration.onActivated;
+        activationHooks.push(instance => onActivated(instance, scope));
+    }
+    // Container-wide hooks of the containers the service was included from only apply to the services they included.
+    for(const hooks of [...(registration.includedHooks ?? []), options]) {
+        const { onActivated } = hooks;
+        if(onActivated) {
+            activationHooks.push(instance => onActivated(instance, context));
+        }
+    }
+    if(registration.onDisposing) {
+        disposalHooks.push(registration.onDisposing);
+    }
+    for(const hooks of registration.includedHooks ?? []) {
+        const { onDisposing } = hooks;
+        if(onDisposing) {
+            disposalHooks.push(instance => onDisposing(instance, context));
+        }
+    }
+    if(options.onDisposing) {
+        const onDisposing = options.onDisposing;
+        disposalHooks.push(instance => onDisposing(instance, context));
+    }
+
+    /**
+     * Invoke every activation hook with the given instance, returning the instance once every hook has finished.
+     * @param {any} instance
+     * @returns {any}
+     */
+    const activate = (instance) => {
+        if(isPromise(instance)) {
+            return instance.then(activate);
+        }
+        const result = invokeHooks(activationHooks, instance);
+        return isPromise(result) ? result.then(() => instance) : instance;
+    }
+
+    /**
+     * Invoke every disposal hook with the given instance, then dispose of the instance (and each of its inner instances).
+     * @param {any} instance
+     * @returns {any}
+     */
+    const disposer = (instance) => {
+        const result = invokeHooks(disposalHooks, instance);
+        const disposed = isPromise(result) ? result.then(() => disposeLayers(instance)) : disposeLayers(instance);
+        const owned = providerInjections && ownedBy.get(instance);
+        if(providerInjections === undefined || owned === undefined) {
+            return disposed;
+        }
+        // Transient services that were injected into the instance are disposed of after the instance.
+        return isPromise(disposed) ? disposed.then(() => releaseInjections(providerInjections, owned)) : releaseInjections(providerInjections, owned);
+    }
+
+    /**
+     * Transient services that were injected (per injection) into each instance.
+     * @type {WeakMap<object, OwnedReference[]>}
+     */
+    const ownedBy = new WeakMap();
+
+    /**
+     * Record that the Transient services in `owned` were injected into the given instance, so they are disposed of along with it.
+     * @param {any} instance
+     * @param {OwnedReference[]} owned
+     */
+    const own = (instance, owned) => {
+        if(isPromise(instance)) {
+            instance.then(resolved => own(resolved, owned), () => {});
+            return;
+        }
+        if(instance !== null && (typeof instance === "object" || typeof instance === "function")) {
+            ownedBy.set(instance, owned);
+        }
+    }
 
     // Convert the instantiator into a factory method, so we don't have to check all 
-    const instantiator = () => {
+    /**
+     * @param {boolean} owned
+     * True if the instance is owned by the dependent it is injected into, so it cannot be a captive dependency.
+     */
+    const instantiate = (owned) => {
+        // Other lifetimes are checked whenever they are accessed from a provider. (See `checkedAccess`)
+        //   Transient references create a new instance on every access, so they are only captured once they are instantiated.
+        if(registration.lifetime === "transient" && !owned) {
+            checkCaptiveDependency(name, registration.lifetime, options.captiveDependencies ?? "off");
+        }
+        resolving.push({ name, lifetime: registration.lifetime });
         try {
-            if(isConstructor(factory)) {
-                const instance = new factory(scope);
-                return instance;
+            // Every instance gets its own instances of the Transient services that are provided per injection.
+            let services = scope;
+            /** @type {OwnedReference[]} */
+            const owned = [];
+            if(providerInjections !== undefined) {
+                services = perInjection(injectableScope, providerInjections, owned);
+                for(const namespace of registration.namespaces ?? []) {
+                    services = namespaced(services, namespace);
+                }
             }
-            return factory(scope);
+            let instance = isConstructor(factory) ? new factory(services) : factory(services);
+            // Transient services cannot be awaited, since a new instance is created on every access. (Custom lifetimes decide for themselves)
+            if(registration.lifetime === "transient" && !registration.custom && isPromise(instance)) {
+                instance.then(disposeInstance, () => {});
+                throw new FluxjectError(`Cannot instantiate the Transient service "${name}", since its factory returned a Promise. (Register it as a Singleton or Scoped service instead)`);
+            }
+            if(decorators.length > 0) {
+                instance = decorate(instance, services);
+            }
+            if(!isTransient && !registration.custom) {
+                graph.instantiated.push(name);
+            }
+            instance = activationHooks.length > 0 ? activate(instance) : instance;
+            if(providerInjections !== undefined) {
+                own(instance, owned);
+            }
+            return instance;
         }
         catch(err) {
             if(err instanceof RangeError) {
@@ -367,32 +1428,474 @@ function reference(name, registration, scope, isTransient) {
             }
             throw err;
         }
+        finally {
+            resolving.pop();
+        }
     }
+    const instantiator = () => instantiate(false);
     // Capture the stack trace, so if any circular dependencies occur, we can use this stack trace
     // to better inform the user where the circular dependency might have originated.
     Error.captureStackTrace(stackTrace, instantiator);
-    return new LazyReference(instantiator, isTransient);
+
+    // Services with a custom lifetime are resolved through the lifetime on every access, which decides whether a new instance is created.
+    if(registration.custom) {
+        return customReference(name, registration, { service: name, services: scope, cache: new Map(), create: instantiator, dispose: disposer }, options, graph);
+    }
+    const lazyReference = new LazyReference(instantiator, isTransient, {
+        disposer: decorators.length > 0 || disposalHooks.length > 0 || providerInjections !== undefined ? disposer : undefined,
+        interceptor: interceptor(name, registration, options.interceptors ?? [])
+    });
+    if(isTransient) {
+        ownedInstantiators.set(lazyReference, () => instantiate(true));
+    }
+    return lazyReference;
 }
 
 /**
- * Returns a proxy for the given provider that will disallow access to the `createScope` and `dispose` methods.
- * @param {FluxjectHostServiceProvider|FluxjectScopedServiceProvider} provider
- * @param {string} registrationName
- * Registration name that called this function. This is to prevent injecting a service into its own constructor.
+ * Resolve the service named `name` from `provider`, returning a handle to its actual instance.
+ * @param {any} provider
+ * The provider to resolve the service from.
+ * @param {Record<string, Types.Registration<any,any>>} registrations
+ * Registrations of the provider.
+ * @param {string} name
+ * Name of the service to resolve.
+ * @returns {Types.Handle<any>}
+ */
+function resolveHandle(provider, registrations, name) {
+    const registration = registrations[name];
+    if(registration === undefined || registration.collectionName !== undefined || !(name in provider)) {
+        throw new FluxjectError(`Cannot resolve "${name}", since it is not registered on this provider.`);
+    }
+    if(registration.lifetime === "transient" && !registration.custom && !registration.external) {
+        return createHandle(provider, registrations, name);
+    }
+    const reference = provider[name];
+    // Externally owned instances, collections and scope inputs are not lazy references, so they are already the actual instance.
+    if(!LazyReference.isLazyReference(reference)) {
+        return handle(reference, () => undefined);
+    }
+    return handle(LazyReference.instantiate(reference), () => undefined);
+}
+
+/**
+ * Create a new instance of the Transient service named `name` from `provider`, returning a handle that owns the instance.
+ * @param {any} provider
+ * The provider to create the service from.
+ * @param {Record<string, Types.Registration<any,any>>} registrations
+ * Registrations of the provider.
+ * @param {string} name
+ * Name of the Transient service to create.
+ * @returns {Types.Handle<any>}
+ */
+function createHandle(provider, registrations, name) {
+    const registration = registrations[name];
+    if(registration === undefined || registration.collectionName !== undefined) {
+        throw new FluxjectError(`Cannot create "${name}", since it is not registered on this provider.`);
+    }
+    if(registration.lifetime !== "transient" || registration.custom || registration.external) {
+        throw new FluxjectError(`Cannot create "${name}", since it is not a Transient service. (Use "resolve" instead)`);
+    }
+    const { instance, dispose } = LazyReference.create(provider[name]);
+    return handle(instance, dispose);
+}
+
+/**
+ * Create a handle to `instance`, where `dispose` is only invoked the first time the handle is disposed of.
+ * 
+ * Disposing of the handle synchronously (e.g., with `using`) throws a `FluxjectError` if the instance turns out to be disposed of asynchronously, 
+ * since the disposal cannot be awaited. The disposal is still tracked, so `dispose()` (or `Symbol.asyncDispose`) returns it to be awaited.
+ * @param {any} instance
+ * The instance the handle holds.
+ * @param {() => any} dispose
+ * Function that disposes of the instance.
+ * @returns {Types.Handle<any>}
+ */
+function handle(instance, dispose) {
+    let disposed = false;
+    /** @type {any} */
+    let result;
+    const disposeOnce = () => {
+        if(!disposed) {
+            disposed = true;
+            result = dispose();
+        }
+        return result;
+    };
+    return {
+        instance,
+        dispose: disposeOnce,
+        [Symbol.dispose]: () => {
+            const result = disposeOnce();
+            if(isPromise(result)) {
+                // Any failure is left to whoever awaits the disposal, instead of becoming an unhandled rejection.
+                result.catch(() => {});
+                throw new FluxjectError(`Cannot synchronously dispose of a handle whose instance is disposed of asynchronously. (Use "await using" or "await handle.dispose()" instead)`);
+            }
+        },
+        [Symbol.asyncDispose]: async () => {
+            await disposeOnce();
+        }
+    };
+}
+
+/**
+ * Create a reference to a service with a custom lifetime, which is resolved through the lifetime on every access.
+ * @param {string} name
+ * Name of the service/registration.
+ * @param {Types.Registration<any,any>} registration
+ * Registration of the service, which has a custom lifetime.
+ * @param {Types.LifetimeContext} context
+ * Context that the lifetime is invoked with.
+ * @param {Types.ContainerOptions} options
+ * Options configured on the container.
+ * @param {DependencyGraph} graph
+ * Dependency graph of the provider the reference belongs to.
+ * @returns {any}
+ * The reference to the service.
+ */
+function customReference(name, registration, context, options, graph) {
+    const lifetime = /** @type {Types.Lifetime} */ (registration.custom);
+    let resolved = false;
+    const reference = new LazyReference(() => {
+        if(!resolved) {
+            resolved = true;
+            graph.instantiated.push(name);
+        }
+        return lifetime.resolve(context);
+    }, false, {
+        // The lifetime disposes of its own instances. (See `disposeReference`)
+        disposer: () => undefined,
+        interceptor: interceptor(name, registration, options.interceptors ?? []),
+        resolvesOnAccess: true
+    });
+    customLifetimes.set(reference, { lifetime, context });
+    return reference;
+}
+
+/**
+ * Create a reference within a scope to a service whose (non-scoped) custom lifetime releases what each scope resolved. (e.g., pooled services)
+ * 
+ * The reference shares the context of the Host Service Provider's reference, apart from its own `scope` storage.
+ * @param {string} name
+ * Name of the service/registration.
+ * @param {Types.Registration<any,any>} registration
+ * Registration of the service, which has a custom lifetime.
+ * @param {any} hostReference
+ * Reference to the service on the Host Service Provider.
+ * @param {Types.ContainerOptions} options
+ * Options configured on the container.
+ * @param {DependencyGraph} graph
+ * Dependency graph of the scope the reference belongs to.
+ * @returns {any}
+ * The reference to the service.
  */
-function injectable(provider, registrationName) {
+function scopeReference(name, registration, hostReference, options, graph) {
+    const { context } = /** @type {{ context: Types.LifetimeContext }} */ (customLifetimes.get(hostReference));
+    return customReference(name, registration, { ...context, scope: new Map() }, options, graph);
+}
+
+/**
+ * Dispose of the given reference, where references to services with a custom lifetime are disposed of (or released) through their lifetime.
+ * @param {any} reference
+ * The reference to dispose of.
+ * @returns {any}
+ * A Promise if the reference was disposed of asynchronously, otherwise undefined.
+ */
+function disposeReference(reference) {
+    const result = LazyReference.dispose(reference);
+    const custom = customLifetimes.get(reference);
+    if(custom === undefined) {
+        return result;
+    }
+    return custom.context.scope ? custom.lifetime.release?.(custom.context) : custom.lifetime.dispose?.(custom.context);
+}
+
+/**
+ * Get the lifetime and context of a reference to a service with a custom lifetime.
+ * @param {any} reference
+ * A reference that was retrieved from a provider.
+ * @returns {{ lifetime: Types.Lifetime, context: Types.LifetimeContext }|undefined}
+ * The lifetime and context of the reference, or undefined if the reference does not have a custom lifetime.
+ */
+export function customLifetimeOf(reference) {
+    return customLifetimes.get(reference);
+}
+
+/**
+ * True if providers return the actual instance of the service from their getter, instead of its lazy reference.
+ * 
+ * Only Singleton and Scoped services can be provided directly, since the other lifetimes depend on the lazy reference to 
+ * decide which instance is used on each access. Services that are intercepted are always provided through their lazy reference.
+ * @param {string} name
+ * Name of the service.
+ * @param {Types.Registration<any,any>} registration
+ * Registration of the service.
+ * @param {Types.ContainerOptions} options
+ * Options configured on the container.
+ * @returns {boolean}
+ */
+function isDirect(name, registration, options) {
+    return (registration.direct ?? options.proxies === false)
+        && (registration.lifetime === "singleton" || registration.lifetime === "scoped")
+        && !registration.custom
+        && !registration.external
+        && !registration.collection
+        && !registration.scopeInput
+        && interceptor(name, registration, options.interceptors ?? []) === undefined;
+}
+
+/**
+ * Get the instance held by the given reference, instantiating it if it has not been instantiated yet.
+ * @param {any} reference
+ * The reference to get the instance of. (Or undefined, if the provider has been disposed of)
+ * @returns {any}
+ */
+function instanceOf(reference) {
+    return reference === undefined ? undefined : LazyReference.instantiate(reference);
+}
+
+/**
+ * True if every scope resolves the service (which has a non-scoped custom lifetime) with its own reference, so it can be released once the scope is disposed of.
+ * @param {Types.Registration<any,any>} registration
+ * @returns {boolean}
+ */
+function releasesPerScope(registration) {
+    return registration.custom?.release !== undefined && !registration.custom.scoped;
+}
+
+/**
+ * Invoke each hook with the given instance, in order, waiting for any hook that returns a Promise before invoking the next.
+ * @param {((instance: any) => any)[]} hooks
+ * The hooks to invoke.
+ * @param {any} instance
+ * The instance to invoke each hook with.
+ * @returns {any}
+ * A Promise if any of the hooks returned a Promise, otherwise undefined.
+ */
+function invokeHooks(hooks, instance) {
+    let result;
+    for(const hook of hooks) {
+        result = isPromise(result) ? result.then(() => hook(instance)) : hook(instance);
+    }
+    return isPromise(result) ? result : undefined;
+}
+
+/**
+ * Create a function that invokes a method on the service named `name` through every interceptor that selects the service.
+ * 
+ * Interceptors are invoked in the order they were registered, so the first interceptor is the outermost.
+ * @param {string} name
+ * Name of the service/registration.
+ * @param {Types.Registration<any,any>} registration 
+ * Registration of the service.
+ * @param {Types.InterceptorRegistration[]} interceptors
+ * Every interceptor registered on the container.
+ * @returns {((method: string, args: any[], proceed: (args: any[]) => any) => any)|undefined}
+ * The function that invokes the method, or undefined if no interceptors select the service.
+ */
+function interceptor(name, registration, interceptors) {
+    const serviceName = registration.collectionName ?? name;
+    const selected = interceptors
+        .filter(({ selector }) => selects(selector, serviceName))
+        .map(({ interceptor }) => interceptor);
+    if(selected.length === 0) {
+        return undefined;
+    }
+    return (method, args, proceed) => {
+        let invoke = proceed;
+        for(const intercept of [...selected].reverse()) {
+            const next = invoke;
+            invoke = (args) => {
+                // The next interceptor (or the method) is invoked with whatever `args` holds once `proceed` is invoked, so it can be reassigned.
+                /** @type {Types.Invocation} */
+                const invocation = { service: name, method, args, proceed: () => next(invocation.args) };
+                return intercept(invocation);
+            };
+        }
+        return invoke(args);
+    };
+}
+
+/**
+ * Check if the service that is currently being instantiated (if any) outlives the service named `name`, which it is resolving.
+ * @param {string} name
+ * Name of the service that is being resolved.
+ * @param {"scoped"|"singleton"|"transient"} lifetime
+ * Lifetime of the service that is being resolved.
+ * @param {"throw"|"warn"|"off"} mode
+ * How a captive dependency should be reported.
+ */
+function checkCaptiveDependency(name, lifetime, mode) {
+    const consumer = resolving.at(-1);
+    if(mode === "off" || consumer === undefined) {
+        return;
+    }
+    if(lifetimeRanks[consumer.lifetime] <= lifetimeRanks[lifetime]) {
+        return;
+    }
+    const error = new CaptiveDependencyError(consumer.name, consumer.lifetime, name, lifetime);
+    if(mode === "throw") {
+        throw error;
+    }
+    console.warn(`${error.name}: ${error.message}`);
+}
+
+/**
+ * Wrap the getter of the service named `name`, so that every access is checked for captive dependencies. (Unless they are not checked)
+ * 
+ * Accessing the service is enough to capture it (e.g., storing the reference, or de-referencing a service that was already instantiated), 
+ * so Singleton and Scoped services are checked on access rather than once they are instantiated.
+ * @template {(this: any) => any} TGetter
+ * @param {string} name
+ * Name of the service.
+ * @param {Types.Registration<any,any>} registration
+ * Registration of the service.
+ * @param {Types.ContainerOptions} options
+ * Options configured on the container.
+ * @param {TGetter} get
+ * The getter of the service.
+ * @returns {TGetter}
+ */
+function checkedAccess(name, registration, options, get) {
+    const mode = options.captiveDependencies ?? "off";
+    if(mode === "off" || registration.lifetime === "transient") {
+        return get;
+    }
+    return /** @type {TGetter} */ (function() {
+        checkCaptiveDependency(name, registration.lifetime, mode);
+        return get.call(this);
+    });
+}
+
+/**
+ * Instantiate all references of `lifetime` that were registered with a factory function and wait for them to resolve.
+ * @param {(name: string) => any} referenceOf
+ * Get the reference to the service named `name` from the provider being initialized.
+ * @param {Record<string, Types.Registration<any,any>>} registrations
+ * Registrations configured on the container.
+ * @param {"singleton"|"scoped"} lifetime
+ * The lifetime of the references to initialize.
+ * @param {Types.ContainerOptions} containerOptions
+ * Options configured on the container.
+ * @param {Types.InitializeOptions=} options
+ * Options for awaiting the asynchronous services.
+ */
+async function initialize(referenceOf, registrations, lifetime, containerOptions, options = {}) {
+    const promises = [];
+    for(const name in registrations) {
+        const registration = registrations[name];
+        if(registration.lifetime !== lifetime || registration.external || registration.collection || registration.scopeInput) {
+            continue;
+        }
+        // Class constructors cannot return a Promise, so they are left to be lazily instantiated. 
+        //   (Unless an `onActivated` hook could, either the registration's own or a container-wide hook)
+        const hasContainerHook = containerOptions.onActivated || registration.includedHooks?.some(hooks => hooks.onActivated);
+        if(isConstructor(registration.factory) && !registration.onActivated && !hasContainerHook) {
+            continue;
+        }
+        const reference = referenceOf(name);
+        if(!reference) {
+            continue;
+        }
+        const timeout = options.timeouts?.[name] ?? options.timeout;
+        promises.push(resolveWithTimeout(name, reference, timeout));
+    }
+    await Promise.all(promises);
+}
+
+/**
+ * Resolve the given reference, throwing an `AsyncFactoryTimeoutError` if it does not resolve within `timeout` milliseconds.
+ * @param {string} name
+ * Name of the service/registration.
+ * @param {LazyReference<any>} reference
+ * The reference to resolve.
+ * @param {number=} timeout
+ * Number of milliseconds the reference has to resolve. (If not specified, then there is no timeout)
+ */
+async function resolveWithTimeout(name, reference, timeout) {
+    if(timeout === undefined) {
+        return LazyReference.resolve(reference);
+    }
+    /** @type {NodeJS.Timeout|undefined} */
+    let timer;
+    const timedOut = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new AsyncFactoryTimeoutError(name, timeout)), timeout);
+    });
+    try {
+        await Promise.race([LazyReference.resolve(reference), timedOut]);
+    }
+    finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Returns a proxy for the given provider, where the un-prefixed names of the services in `namespace` resolve to their prefixed names.
+ * @param {any} provider
+ * The provider (or namespaced provider) to resolve services from.
+ * @param {Types.Namespace} namespace
+ * The namespace to resolve un-prefixed names from.
+ */
+function namespaced(provider, namespace) {
+    /**
+     * @param {string|symbol} p 
+     */
+    const resolveName = (p) => typeof p === "string" && namespace.names.has(p) ? prefixName(namespace.prefix, p) : p;
     return new Proxy(provider, {
         get: (t,p,r) => {
-            if(p === registrationName || p === "createScope" || p === "dispose") {
+            return provider[resolveName(p)];
+        },
+        has: (t,p) => {
+            return resolveName(p) in provider;
+        }
+    });
+}
+
+/**
+ * Returns a proxy for the given provider that will disallow access to the `createScope`, `initialize` and `dispose` methods.
+ * @param {FluxjectHostServiceProvider|FluxjectScopedServiceProvider} provider
+ * @param {string} name
+ * Name of the service that the proxy is injected into.
+ * @param {Types.Registration<any,any>} registration
+ * Registration of the service. (The service cannot inject itself, or the collection it is an element of, into its own constructor)
+ * @param {DependencyGraph} graph
+ * Dependency graph of the provider, which every service that the service resolves is added to.
+ */
+function injectable(provider, name, registration, graph) {
+    const registrationName = registration.collectionName ?? name;
+    const dependencies = dependenciesOf(graph, name, registration);
+    const observed = graph.observed.get(name) ?? new Set();
+    graph.observed.set(name, observed);
+    const proxy = new Proxy(provider, {
+        get: (t,p,r) => {
+            if(p === registrationName || restrictedMembers.includes(/** @type {string} */ (p))) {
                 return undefined;
             }
-            return provider[p];
+            if(typeof p === "string" && p in provider) {
+                dependencies.add(p);
+                observed.add(p);
+            }
+            try {
+                return provider[p];
+            }
+            catch(err) {
+                // The service that needs a missing scope input is reported, even if it is accessed outside of its constructor.
+                if(err instanceof MissingScopeInputError && err.serviceName === undefined) {
+                    throw new MissingScopeInputError(err.inputName, name);
+                }
+                throw err;
+            }
         },
         has: (t,p) => {
-            if(p === registrationName || p === "createScope" || p === "dispose") {
+            if(p === registrationName || restrictedMembers.includes(/** @type {string} */ (p))) {
                 return false;
             }
             return p in provider;
         }
-    })
+    });
+    const providerInjections = injections.get(provider);
+    if(providerInjections !== undefined && providerInjections.names.size > 0) {
+        injections.set(proxy, providerInjections);
+    }
+    return proxy;
 }
\ No newline at end of file
@@ -12,6 +12,152 @@
  * @typedef Registration
  * @prop {TLifetime} lifetime
  * @prop {Instantiator<TInstanceType>} factory
+ * @prop {string[]} [dependencies]
+ * Names of the services this registration depends on, if they were declared.
+ * @prop {Namespace[]} [namespaces]
+ * Namespaces the registration was included under, from the outermost to the innermost namespace.
+ * @prop {boolean} [external]
+ * True if the instance is owned outside of the container, so it is provided as-is and never disposed of by the container.
+ * @prop {Registration<any,any>[]} [collection]
+ * The registrations of each element, if this registration is a collection. 
+ * @prop {string} [collectionName]
+ * Name of the collection this registration is an element of.
+ * @prop {((instance: any, services: any) => any)[]} [decorators]
+ * Decorators to layer over the instance, in the order they were registered.
+ * @prop {((instance: any, services: any) => any)[]} [decorates]
+ * Decorators to layer over the existing registration of the same name. (Only present on registrations returned from `m.decorate(...)`)
+ * @prop {boolean} [eager]
+ * True if the service is instantiated when the container is prepared, instead of when it is first used.
+ * @prop {Lifetime} [custom]
+ * The custom lifetime of the registration, which decides where its instances are cached and when they are disposed of.
+ * @prop {boolean} [scopeInput]
+ * True if the registration is a scope input, where the instance is supplied to `createScope(...)`.
+ * @prop {boolean} [innermost]
+ * True if the Scoped service gets a new instance in every child scope, instead of being inherited from the parent scope.
+ * @prop {TransientMode} [transientMode]
+ * How the Transient service is provided to the services that depend on it, if it was declared.
+ * @prop {boolean} [direct]
+ * True (or false) if the provider returns the actual instance of the service instead of its lazy reference, if it was declared.
+ * @prop {(instance: any, services: any) => any} [onActivated]
+ * Hook that is invoked with every new instance of the service, before it is provided to anyone.
+ * @prop {(instance: any) => any} [onDisposing]
+ * Hook that is invoked with every instance of the service, right before it is disposed of.
+ * @prop {LifecycleHooks[]} [includedHooks]
+ * Container-wide hooks of the containers the registration was included from, from the innermost to the outermost container.
+ * @prop {boolean} [replaces]
+ * True if the registration intentionally replaces an existing registration.
+ * @prop {string} [site]
+ * Location of the code that made the registration. (Only captured on strict containers)
+ */
+
+/**
+ * A custom lifetime, which decides where the instances of its services are cached and when they are disposed of.
+ * @typedef Lifetime
+ * @prop {string} name
+ * Name of the lifetime.
+ * @prop {boolean} [scoped]
+ * If true, then services of this lifetime are only available from scopes (with a separate cache for every scope). 
+ * Otherwise, they are available from the Host Service Provider and every scope (with a single cache). (Default: false)
+ * @prop {(context: LifetimeContext) => any} resolve
+ * Invoked every time the service is accessed, returning the instance to use. (Either a cached instance or a new instance from `context.create()`)
+ * @prop {(context: LifetimeContext) => any} [dispose]
+ * Invoked when the provider the service belongs to is disposed of, to dispose of every cached instance with `context.dispose(instance)`.  
+ * If this returns a Promise, then the provider is disposed of asynchronously.
+ * @prop {(context: LifetimeContext) => any} [release]
+ * Only applies to lifetimes that are not scoped. If provided, then every scope resolves the service with its own `context.scope`, 
+ * and this is invoked when the scope is disposed of, to release whatever was stored in `context.scope`.
+ */
+
+/**
+ * Context that a custom lifetime is invoked with for a single service.
+ * @typedef LifetimeContext
+ * @prop {string} service
+ * Name of the service.
+ * @prop {any} services
+ * The provider the service resolves its dependencies from.
+ * @prop {Map<any, any>} cache
+ * Storage that belongs to the service within the provider, which the lifetime can cache instances in.
+ * @prop {Map<any, any>} [scope]
+ * Storage that belongs to the service within the scope it is being resolved from. (Only provided to lifetimes that are not scoped and have a `release` function, when resolved from a scope)
+ * @prop {() => any} create
+ * Create a new instance of the service. (Applying any decorators and `onActivated` hooks)
+ * @prop {(instance: any) => any} dispose
+ * Dispose of an instance of the service. (Invoking any `onDisposing` hooks)
+ */
+
+/**
+ * Handle to an instance that was resolved with `provider.resolve(...)` or `provider.create(...)`.
+ * 
+ * Disposing of the handle disposes of the instance if it is owned by the handle (e.g., Transient services), otherwise it has no effect.
+ * @template T
+ * @typedef {{ instance: T, dispose: () => any } & Disposable & AsyncDisposable} Handle
+ */
+
+/**
+ * Options for a pool of instances. (See `m.pooled(...)`)
+ * @typedef PoolOptions
+ * @prop {number} [min]
+ * Number of instances that are created as soon as the pool is first used, and that are kept in the pool while idle. (Default: 0)
+ * @prop {number} [max]
+ * Maximum number of instances that can be leased at once. (Default: Infinity)
+ * @prop {number} [idleTimeout]
+ * Time (in milliseconds) that an instance beyond `min` can stay idle in the pool before it is disposed of. (Default: idle instances are kept until the pool is drained)
+ * @prop {(error: unknown) => void} [onError]
+ * Invoked with every error from disposing of an idle instance, since nothing awaits those disposals. (Default: the errors are thrown from `dispose()` 
+ * once the pool is drained, in the `AggregateError` of the pool)
+ */
+
+/**
+ * An instance that was leased from a pool, which is returned to the pool once it is released.
+ * @template T
+ * @typedef Lease
+ * @prop {T} instance
+ * The leased instance.
+ * @prop {() => void} release
+ * Return the instance to the pool. (Releasing more than once has no effect)
+ */
+
+/**
+ * Function that wraps an instance of a service, returning the instance that dependents should receive instead.
+ * @template TInstanceType
+ * @typedef {(inner: TInstanceType, services: any) => TInstanceType} Decorator
+ */
+
+/**
+ * Registrations from `TRegistrations`, where any registration with the same name in `TNewRegistrations` is replaced.
+ * @template {Record<string, Registration<any,any>>} TRegistrations
+ * @template {Record<string, Registration<any,any>>} TNewRegistrations
+ * @typedef {Omit<TRegistrations, keyof TNewRegistrations> & TNewRegistrations} Merge
+ */
+
+/**
+ * Namespace that a set of registrations were included under with `Container.include`.
+ * @typedef Namespace
+ * @prop {string} prefix
+ * Prefix that was added to the name of each registration.
+ * @prop {Set<string>} names
+ * Names of the registrations (without the prefix) that were included under this namespace.
+ */
+
+/**
+ * Registrations from `TRegistrations` where each name is prefixed with `TPrefix`. (e.g., `users` with the prefix `auth` becomes `authUsers`)
+ * @template {Record<string, Registration<any,any>>} TRegistrations
+ * @template {string} TPrefix
+ * @typedef {TPrefix extends "" ? TRegistrations : {[K in keyof TRegistrations as K extends string ? `${TPrefix}${Capitalize<K>}` : never]: TRegistrations[K]}} Prefixed
+ */
+
+/**
+ * Options for including the registrations of another container.
+ * @template {string} TPrefix
+ * @typedef IncludeOptions
+ * @prop {TPrefix} [prefix]
+ * Prefix to add to the name of each included registration. (e.g., `users` with the prefix `auth` becomes `authUsers`)  
+ * Included services are still injected with the un-prefixed names of the other services they were included with.
+ * @prop {"error"|"override"|"keep"} [conflicts]
+ * What should happen when an included registration has the same name as an existing registration. (Default: "error")
+ *   - "error": A `FluxjectError` listing every conflicting name is thrown.
+ *   - "override": The included registration replaces the existing registration.
+ *   - "keep": The existing registration is kept.
  */
 
 /**
@@ -19,9 +165,15 @@
  * @typedef {T extends infer U ? {[K in keyof U]: U[K] } : never} Widen
  */
 
+/**
+ * Instantiators that do not return a Promise, where every factory that does is typed as `never`.
+ * @template TInstantiators
+ * @typedef {{[K in keyof TInstantiators]: TInstantiators[K] extends ((...args: any) => PromiseLike<any>) ? never : TInstantiators[K]}} Synchronous
+ */
+
 /**
  * @template TInstantiator
- * @typedef {TInstantiator extends (new (...args: any) => any) ? InstanceType<TInstantiator> : TInstantiator extends ((...args: any) => any) ? ReturnType<TInstantiator> : never} Resolved
+ * @typedef {TInstantiator extends (new (...args: any) => any) ? InstanceType<TInstantiator> : TInstantiator extends ((...args: any) => any) ? Awaited<ReturnType<TInstantiator>> : never} Resolved
  */
 
 /**
@@ -41,4 +193,217 @@
  * @typedef {InferInstanceTypes<TRegistrations, TLifetime>[keyof InferInstanceTypes<TRegistrations, TLifetime>]} InferUnionOfInstanceTypes
  */
 
+/**
+ * Values for the scope inputs (declared with `m.scopeInput(...)`) of `TRegistrations`.
+ * @template {Record<string, Registration<any,any>>} TRegistrations
+ * @typedef {{[K in keyof TRegistrations as TRegistrations[K] extends { scopeInput: true } ? K : never]?: TRegistrations[K] extends Registration<infer TInstantiator, any> ? Resolved<TInstantiator> : never}} ScopeInputs
+ */
+
+/**
+ * Registrations that replace existing registrations of `TRegistrations`, where each replacement must resolve to a type that is assignable to the original instance type.
+ * @template {Record<string, Registration<any,any>>} TRegistrations
+ * @typedef {{[K in keyof TRegistrations]?: TRegistrations[K] extends Registration<infer TInstantiator, any> ? Registration<Instantiator<Resolved<TInstantiator>>, any> : never}} Overrides
+ */
+
+/**
+ * Instances that replace existing services of `TRegistrations`.
+ * @template {Record<string, Registration<any,any>>} TRegistrations
+ * @typedef {{[K in keyof InferInstanceTypes<TRegistrations>]?: InferInstanceTypes<TRegistrations>[K]}} InstanceOverrides
+ */
+
+/**
+ * Options that apply to every registration made on a container.
+ * @typedef ContainerOptions
+ * @prop {"throw"|"warn"|"off"} [captiveDependencies]
+ * How a service resolving another service with a shorter lifetime while it is being instantiated should be reported. (Default: "off")
+ *   - "throw": A `CaptiveDependencyError` is thrown.
+ *   - "warn": The `CaptiveDependencyError` message is written to `console.warn`.
+ *   - "off": Captive dependencies are not checked.
+ * @prop {(instance: any, context: LifecycleContext) => any} [onActivated]
+ * Hook that is invoked with every new instance of every service, after the registration's own `onActivated` hook.
+ * @prop {(instance: any, context: LifecycleContext) => any} [onDisposing]
+ * Hook that is invoked with every instance of every service right before it is disposed of, after the registration's own `onDisposing` hook.
+ * @prop {"parallel"|"sequential"} [disposal]
+ * How asynchronous disposals are awaited when a provider is disposed of. (Default: "parallel")  
+ * Services are always disposed of before the services they depend on, so every service is disposed of in levels.
+ *   - "parallel": Every service within the same level is disposed of at the same time.
+ *   - "sequential": Every service is disposed of one at a time, from the most recently instantiated service.
+ * @prop {InterceptorRegistration[]} [interceptors]
+ * Interceptors that are invoked whenever a method is invoked on the services they select. (See `Container.intercept`)
+ * @prop {boolean} [strict]
+ * If true, then registering a service under a name that is already registered throws a `DuplicateRegistrationError`,
+ * unless the registration was made with `m.replace(...)`. (Default: false)
+ * @prop {TransientMode} [transientMode]
+ * How Transient services are provided to the services that depend on them. (Default: "per-access")  
+ * Can be overridden for each registration with the `transientMode` registration option.
+ * @prop {boolean} [proxies]
+ * If false, then Singleton and Scoped services are provided as their actual instance (still lazily instantiated, the first time 
+ * they are accessed from a provider) instead of a lazy reference. (Default: true)  
+ * Can be overridden for each registration with the `direct` registration option.
+ */
+
+/**
+ * How a Transient service is provided to the services that depend on it.
+ *   - "per-access": A new instance is created (and disposed of) on every property access of the service.
+ *   - "per-injection": Each dependent gets its own instance, which is kept for the life of the dependent and disposed of 
+ *     along with the dependent (or, at the latest, with the provider it was injected from).
+ * @typedef {"per-access"|"per-injection"} TransientMode
+ */
+
+/**
+ * Describes the service a container-wide lifecycle hook was invoked for.
+ * @typedef LifecycleContext
+ * @prop {string} service
+ * Name of the service.
+ * @prop {"scoped"|"transient"|"singleton"} lifetime
+ * Lifetime of the service.
+ */
+
+/**
+ * Container-wide lifecycle hooks, which are invoked for every service of the container.
+ * @typedef {Pick<ContainerOptions, "onActivated"|"onDisposing">} LifecycleHooks
+ */
+
+/**
+ * Selects services by name: a single name, an array of names, a pattern the names are tested against, or a predicate.
+ * @template {string} [TServiceName=string]
+ * @typedef {TServiceName|TServiceName[]|RegExp|((name: string) => boolean)} ServiceSelector
+ */
+
+/**
+ * Describes a method that was invoked on an intercepted service.
+ * @typedef Invocation
+ * @prop {string} service
+ * Name of the service the method was invoked on.
+ * @prop {string} method
+ * Name of the method that was invoked.
+ * @prop {any[]} args
+ * Arguments the method was invoked with. (These can be modified, or reassigned, before `proceed` is invoked)
+ * @prop {() => any} proceed
+ * Invoke the next interceptor (or the method itself, if this is the last interceptor), returning its return value.
+ */
+
+/**
+ * Function that is invoked in place of a method on an intercepted service. 
+ * 
+ * The return value of the interceptor is what the caller receives, so it should typically return `invocation.proceed()`.
+ * @typedef {(invocation: Invocation) => any} Interceptor
+ */
+
+/**
+ * An interceptor along with the services it selects.
+ * @typedef InterceptorRegistration
+ * @prop {ServiceSelector} selector
+ * @prop {Interceptor} interceptor
+ */
+
+/**
+ * Options that apply to a set of registrations made with `RegistrationBuilder`.
+ * @template {Record<string, Instantiator<any>>} TInstantiators
+ * @typedef RegistrationOptions
+ * @prop {{[K in keyof TInstantiators]?: string[]}} [dependencies]
+ * Names of the services each registration depends on. These are only used to validate the container (and order eager services).
+ * @prop {boolean|{[K in keyof TInstantiators]?: boolean}} [eager]
+ * If true (or true for a registration), then the Singleton services are instantiated when the container is prepared, instead of when they are first used.
+ * @prop {boolean|{[K in keyof TInstantiators]?: boolean}} [innermost]
+ * If true (or true for a registration), then the Scoped services get a new instance in every child scope (`scope.createScope()`), 
+ * instead of being inherited from the parent scope.
+ * @prop {{[K in keyof TInstantiators]?: (instance: Resolved<TInstantiators[K]>, services: any) => any}} [onActivated]
+ * Hooks that are invoked with every new instance of each registration, before the instance is provided to anyone.  
+ * If a hook returns a Promise, then the service resolves once the Promise resolves.
+ * @prop {{[K in keyof TInstantiators]?: (instance: Resolved<TInstantiators[K]>) => any}} [onDisposing]
+ * Hooks that are invoked with every instance of each registration, right before the instance is disposed of.  
+ * If a hook returns a Promise, then the instance is disposed of once the Promise resolves.
+ * @prop {TransientMode|{[K in keyof TInstantiators]?: TransientMode}} [transientMode]
+ * How the Transient services (or a Transient service) are provided to the services that depend on them. (Default: the container's `transientMode`)
+ * @prop {boolean|{[K in keyof TInstantiators]?: boolean}} [direct]
+ * If true (or true for a registration), then the Singleton and Scoped services are provided as their actual instance instead of a lazy reference,
+ * which avoids the overhead of the lazy reference on every access. (Default: the inverse of the container's `proxies` option)
+ */
+
+/**
+ * Options for disposing of a provider.
+ * @typedef DisposeOptions
+ * @prop {number} [timeout]
+ * Number of milliseconds each asynchronous dispose has to settle before it is reported as a `DisposalTimeoutError`. (If not specified, then there is no timeout)
+ */
+
+/**
+ * A service that failed to be disposed of.
+ * @typedef DisposalFailure
+ * @prop {string} service
+ * Name of the service.
+ * @prop {"scoped"|"transient"|"singleton"} lifetime
+ * Lifetime of the service.
+ * @prop {unknown} error
+ * The error that was thrown (or rejected) while disposing of the service.
+ */
+
+/**
+ * Options for preparing a container for consumption.
+ * @template {string} [TSingletonName=string]
+ * @typedef PrepareOptions
+ * @prop {boolean} [validate]
+ * If true, then the container is validated first, throwing a `ContainerValidationError` if any problems were found.
+ * @prop {TSingletonName[]} [eager]
+ * Names of the Singleton services to instantiate while the container is prepared, in addition to those registered with `eager`.
+ * @prop {boolean} [proxies]
+ * If false, then Singleton and Scoped services are provided as their actual instance instead of a lazy reference. (Default: the container's `proxies` option)
+ */
+
+/**
+ * A problem found while validating the registrations of a container.
+ * @typedef ValidationProblem
+ * @prop {"missing"|"cycle"|"lifetime"} type
+ * The kind of problem that was found.
+ * @prop {string} service
+ * Name of the service the problem was found on.
+ * @prop {string} message
+ * Description of the problem.
+ * @prop {string[]} [path]
+ * The services that make up the cycle. (Only present when `type` is "cycle")
+ */
+
+/**
+ * Metadata of a registration. (Returned from `container.describe()`)
+ * @typedef ServiceDescription
+ * @prop {string} name
+ * Name of the service.
+ * @prop {string} lifetime
+ * Lifetime of the service. ("singleton", "scoped", "transient" or the name of its custom lifetime)
+ * @prop {"class"|"factory"|"value"|"collection"|"input"} kind
+ * How instances of the service are provided: constructed from a class, returned from a factory function, an externally owned value, 
+ * assembled from the elements of a collection or supplied to the scope as a scope input.
+ * @prop {string[]} dependencies
+ * Names of the services the registration declared it depends on, or an empty array if it did not declare its dependencies.
+ */
+
+/**
+ * A dependency of one service on another.
+ * @typedef ServiceEdge
+ * @prop {string} from
+ * Name of the dependent service.
+ * @prop {string} to
+ * Name of the service it depends on.
+ */
+
+/**
+ * Services of a provider and the dependencies between them. (Returned from `provider.graph()`)
+ * @typedef ServiceGraph
+ * @prop {ServiceDescription[]} nodes
+ * Every service registered on the provider, including the elements of each collection.
+ * @prop {ServiceEdge[]} edges
+ * Every dependency that has been observed so far, from a service resolving another service (or a collection containing its elements).
+ */
+
+/**
+ * Options for awaiting asynchronous services before they are consumed.
+ * @template {PropertyKey} [TServiceName=string]
+ * @typedef InitializeOptions
+ * @prop {number} [timeout]
+ * Number of milliseconds each asynchronous factory has to resolve before an `AsyncFactoryTimeoutError` is thrown.
+ * @prop {Partial<Record<TServiceName, number>>} [timeouts]
+ * Number of milliseconds specific asynchronous factories have to resolve. (Takes precedence over `timeout`)
+ */
+
 export default {};
\ No newline at end of file
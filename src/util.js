@@ -1,4 +1,5 @@
 //@ts-check
+/** @import * as Types from "./types.js" */
 
 /** @readonly */
 const AsyncFunction = (async () => {}).constructor;
@@ -21,4 +22,70 @@ export function isConstructor(fn) {
     }
     const prototype = fn.prototype;
     return prototype && typeof prototype === 'object' && prototype.constructor === fn;
+}
+
+/**
+ * Add `prefix` to `name`, keeping the name camel-cased. (e.g., `users` with the prefix `auth` becomes `authUsers`)
+ * @param {string} prefix 
+ * Prefix to add to the name.
+ * @param {string} name 
+ * Name to add the prefix to.
+ * @returns {string}
+ * The prefixed name, or `name` if `prefix` is empty.
+ */
+export function prefixName(prefix, name) {
+    if(prefix === "") {
+        return name;
+    }
+    return prefix + name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+/**
+ * Check if `selector` selects the service named `name`.
+ * @param {Types.ServiceSelector} selector 
+ * The selector to check.
+ * @param {string} name 
+ * Name of the service/registration.
+ */
+export function selects(selector, name) {
+    if(typeof selector === "string") {
+        return selector === name;
+    }
+    if(Array.isArray(selector)) {
+        return selector.includes(name);
+    }
+    if(selector instanceof RegExp) {
+        return selector.test(name);
+    }
+    return selector(name);
+}
+
+/**
+ * Get the location of the code that invoked `fn`, so the site of a registration can be reported.
+ * @param {Function} fn 
+ * The function that was invoked.
+ * @returns {string|undefined}
+ * The location (e.g., `file:///app/container.js:12:6`) of the caller, or undefined if it could not be determined.
+ */
+export function registrationSite(fn) {
+    /** @type {{ stack?: string }} */
+    const trace = {};
+    Error.captureStackTrace(trace, fn);
+    const frame = trace.stack?.split("\n")[1]?.trim();
+    return frame?.replace(/^at /, "");
+}
+
+/**
+ * Dispose of the given instance, invoking its `Symbol.dispose` method and then its `Symbol.asyncDispose` method (if they exist).
+ * @param {any} instance 
+ * Instance to dispose of.
+ * @returns {any}
+ * The return value of `Symbol.asyncDispose` (typically a Promise), or undefined if it does not exist.
+ */
+export function disposeInstance(instance) {
+    if(instance === null || (typeof instance !== "object" && typeof instance !== "function")) {
+        return undefined;
+    }
+    instance[Symbol.dispose]?.();
+    return instance[Symbol.asyncDispose]?.();
 }
\ No newline at end of file
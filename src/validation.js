@@ -0,0 +1,138 @@
+//@ts-check
+/** @import * as Types from "./types.js" */
+
+/**
+ * Validate the declared dependencies of every registration, without instantiating any services.
+ * 
+ *   - "missing": A declared dependency is not registered on the container.
+ *   - "cycle": Declared dependencies form a cycle.
+ *   - "lifetime": A Singleton or Transient service depends on a Scoped service, which is never available to it.
+ * 
+ * Registrations that did not declare their dependencies are not validated.
+ * @param {Record<string, Types.Registration<any,any>>} registrations
+ * Registrations configured on the container.
+ * @returns {Types.ValidationProblem[]}
+ * All problems that were found, or an empty array if the registrations are valid.
+ */
+export function validateRegistrations(registrations) {
+    /** @type {Types.ValidationProblem[]} */
+    const problems = [];
+    for(const name in registrations) {
+        const registration = registrations[name];
+        for(const dependency of registration.dependencies ?? []) {
+            const dependencyRegistration = registrations[dependency];
+            if(dependencyRegistration === undefined) {
+                problems.push({
+                    type: "missing",
+                    service: name,
+                    message: `Service "${name}" depends on "${dependency}", which is not registered.`
+                });
+                continue;
+            }
+            if(registration.lifetime !== "scoped" && dependencyRegistration.lifetime === "scoped") {
+                problems.push({
+                    type: "lifetime",
+                    service: name,
+                    message: `${capitalize(registration.lifetime)} service "${name}" depends on Scoped service "${dependency}", which is only available from a scope.`
+                });
+            }
+        }
+    }
+    for(const path of findCycles(registrations)) {
+        problems.push({
+            type: "cycle",
+            service: path[0],
+            message: `Services have a circular dependency: ${path.join(" -> ")}`,
+            path
+        });
+    }
+    return problems;
+}
+
+/**
+ * Order the services named `names`, so that every service comes after any of the services it declared it depends on (directly or indirectly).
+ * 
+ * Services that do not depend on each other keep the order they were given in, so the order is deterministic.
+ * @param {Record<string, Types.Registration<any,any>>} registrations
+ * Registrations configured on the container.
+ * @param {string[]} names
+ * Names of the services to order.
+ * @returns {string[]}
+ * The same names, where every dependency comes before its dependents.
+ */
+export function dependencyOrder(registrations, names) {
+    const included = new Set(names);
+    /** @type {Set<string>} */
+    const visited = new Set();
+    /** @type {string[]} */
+    const order = [];
+
+    /**
+     * @param {string} name 
+     */
+    const visit = (name) => {
+        if(visited.has(name) || registrations[name] === undefined) {
+            return;
+        }
+        visited.add(name);
+        for(const dependency of registrations[name].dependencies ?? []) {
+            visit(dependency);
+        }
+        if(included.has(name)) {
+            order.push(name);
+        }
+    }
+
+    for(const name of names) {
+        visit(name);
+    }
+    return order;
+}
+
+/**
+ * Find every cycle formed by the declared dependencies of `registrations`.
+ * @param {Record<string, Types.Registration<any,any>>} registrations
+ * Registrations configured on the container.
+ * @returns {string[][]}
+ * Each cycle, starting and ending with the same service.
+ */
+function findCycles(registrations) {
+    /** @type {string[][]} */
+    const cycles = [];
+    /** @type {Set<string>} */
+    const visited = new Set();
+    /** @type {string[]} */
+    const stack = [];
+
+    /**
+     * @param {string} name 
+     */
+    const visit = (name) => {
+        const index = stack.indexOf(name);
+        if(index !== -1) {
+            cycles.push([...stack.slice(index), name]);
+            return;
+        }
+        if(visited.has(name) || registrations[name] === undefined) {
+            return;
+        }
+        visited.add(name);
+        stack.push(name);
+        for(const dependency of registrations[name].dependencies ?? []) {
+            visit(dependency);
+        }
+        stack.pop();
+    };
+
+    for(const name in registrations) {
+        visit(name);
+    }
+    return cycles;
+}
+
+/**
+ * @param {string} value 
+ */
+function capitalize(value) {
+    return value.charAt(0).toUpperCase() + value.slice(1);
+}
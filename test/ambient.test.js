@@ -0,0 +1,93 @@
+//@ts-check
+
+import { describe, it, expect } from 'vitest'
+import { fluxject, FluxjectError } from "../src/index.js";
+
+/**
+ * @param {number} ms
+ */
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('ambient scopes', () => {
+    it('should return the scope of runInScope from currentScope anywhere in the asynchronous call chain', async () => {
+        class RequestContext {
+            /** @type {string|undefined} */
+            user;
+        }
+
+        const container = fluxject()
+            .register(m => m.scoped({ requestContext: RequestContext }));
+        const provider = container.prepare();
+
+        const readUser = async () => {
+            await delay(1);
+            return provider.currentScope().requestContext.user;
+        };
+
+        const user = await provider.runInScope(async scope => {
+            scope.requestContext.user = "alice";
+            await delay(1);
+            return readUser();
+        });
+        expect(user).toBe("alice");
+    });
+
+    it('should give each concurrent call to runInScope its own scope', async () => {
+        class RequestContext {
+            /** @type {string|undefined} */
+            user;
+        }
+
+        const container = fluxject()
+            .register(m => m.scoped({ requestContext: RequestContext }));
+        const provider = container.prepare();
+
+        /**
+         * @param {string} user
+         * @param {number} ms
+         */
+        const handle = (user, ms) => provider.runInScope(async () => {
+            provider.currentScope().requestContext.user = user;
+            await delay(ms);
+            return provider.currentScope().requestContext.user;
+        });
+
+        expect(await Promise.all([handle("alice", 10), handle("bob", 1)])).toStrictEqual(["alice", "bob"]);
+    });
+
+    it('should dispose of the scope once the function settles, even if it throws', async () => {
+        /** @type {(string|undefined)[]} */
+        const disposed = [];
+        class RequestContext {
+            /** @type {string|undefined} */
+            user;
+
+            [Symbol.dispose]() {
+                disposed.push(this.user);
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.scoped({ requestContext: RequestContext }));
+        const provider = container.prepare();
+
+        await expect(provider.runInScope(async scope => {
+            scope.requestContext.user = "alice";
+            throw new Error("Request failed");
+        })).rejects.toThrow("Request failed");
+        expect(disposed).toStrictEqual(["alice"]);
+    });
+
+    it('should throw from currentScope outside of runInScope', async () => {
+        class RequestContext { }
+
+        const container = fluxject()
+            .register(m => m.scoped({ requestContext: RequestContext }));
+        const provider = container.prepare();
+
+        await provider.runInScope(() => {});
+        expect(() => provider.currentScope()).toThrow(FluxjectError);
+    });
+});
@@ -0,0 +1,148 @@
+//@ts-check
+
+import { describe, it, expect } from 'vitest'
+import { fluxject, AsyncFactoryTimeoutError, FluxjectError } from "../src/index.js";
+
+describe('async', () => {
+    it('should resolve asynchronous singleton services when [initialize] is called', async () => {
+        class Database {
+            connected = true;
+
+            query() {
+                return "result";
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.singleton({ database: async () => new Database() }));
+
+        const provider = container.prepare();
+        await provider.initialize();
+        expect(provider.database.connected).toBe(true);
+        expect(provider.database.query()).toBe("result");
+        expect(provider.database).toBeInstanceOf(Database);
+    });
+
+    it('should resolve asynchronous singleton services when [prepareAsync] is called', async () => {
+        const container = fluxject()
+            .register(m => m.singleton({ config: () => Promise.resolve({ port: 8080 }) }));
+
+        const provider = await container.prepareAsync();
+        expect(provider.config.port).toBe(8080);
+    });
+
+    it('should not instantiate singleton services registered with a class constructor when [initialize] is called', async () => {
+        let isInstantiated = false;
+        class Test {
+            constructor() {
+                isInstantiated = true;
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.singleton({ test: Test }));
+
+        const provider = container.prepare();
+        await provider.initialize();
+        expect(isInstantiated).toBe(false);
+    });
+
+    it('should throw AsyncFactoryTimeoutError when an asynchronous factory does not resolve within the timeout', async () => {
+        const container = fluxject()
+            .register(m => m.singleton({ 
+                slow: () => new Promise(res => setTimeout(() => res({ x: 1 }), 100)),
+                fast: async () => ({ x: 2 })
+            }));
+
+        const provider = container.prepare();
+        await expect(provider.initialize({ timeout: 50, timeouts: { slow: 10 } })).rejects.toThrow(AsyncFactoryTimeoutError);
+        await expect(container.prepareAsync({ timeout: 500 })).resolves.toBeDefined();
+    });
+
+    it('should resolve asynchronous scoped services when [createScopeAsync] is called', async () => {
+        let x = 0;
+        class Session {
+            constructor(id) {
+                this.id = id;
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.scoped({ session: async () => new Session(++x) }));
+
+        const provider = container.prepare();
+        const scope1 = await provider.createScopeAsync();
+        const scope2 = await provider.createScopeAsync();
+        expect(scope1.session.id).toBe(1);
+        expect(scope2.session.id).toBe(2);
+    });
+
+    it('should dispose of the scope when an asynchronous scoped service fails to resolve', async () => {
+        let isDisposed = false;
+        class Test {
+            [Symbol.dispose]() {
+                isDisposed = true;
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.scoped({ 
+                test: () => new Test(),
+                failing: async () => { throw new Error("Could not connect"); }
+            }));
+
+        const provider = container.prepare();
+        await expect(provider.createScopeAsync()).rejects.toThrow("Could not connect");
+        expect(isDisposed).toBe(true);
+    });
+
+    it('should dispose of the provider when an asynchronous singleton service fails to resolve within the timeout of [prepareAsync]', async () => {
+        /** @type {string[]} */
+        const disposed = [];
+        class Connection {
+            /**
+             * @param {string} name
+             */
+            constructor(name) {
+                this.name = name;
+            }
+
+            [Symbol.dispose]() {
+                disposed.push(this.name);
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.singleton({
+                fast: async () => new Connection("fast"),
+                slow: () => new Promise(res => setTimeout(() => res(new Connection("slow")), 30))
+            }));
+
+        await expect(container.prepareAsync({ timeout: 10 })).rejects.toThrow(AsyncFactoryTimeoutError);
+        expect(disposed).toStrictEqual(["fast", "slow"]);
+    });
+
+    it('should throw FluxjectError when an asynchronous factory is registered as a transient service', async () => {
+        let isDisposed = false;
+        class Formatter {
+            v = 1;
+
+            [Symbol.dispose]() {
+                isDisposed = true;
+            }
+        }
+
+        // @ts-expect-error - Asynchronous factories cannot be registered as Transient services.
+        expect(() => fluxject().register(m => m.transient({ formatter: async () => new Formatter() }))).toThrow(FluxjectError);
+
+        const container = fluxject()
+            // @ts-expect-error - Factories that return a Promise cannot be registered as Transient services either.
+            .register(m => m.transient({ formatter: () => Promise.resolve(new Formatter()) }));
+        const provider = container.prepare();
+
+        expect(() => provider.formatter.v).toThrow(`Cannot instantiate the Transient service "formatter", since its factory returned a Promise.`);
+        expect(() => provider.create("formatter")).toThrow(FluxjectError);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        expect(isDisposed).toBe(true);
+    });
+});
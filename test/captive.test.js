@@ -0,0 +1,161 @@
+//@ts-check
+
+import { describe, it, expect, vi } from 'vitest'
+import { fluxject, CaptiveDependencyError } from "../src/index.js";
+
+describe('captive dependencies', () => {
+    it('should throw CaptiveDependencyError when a singleton service resolves a scoped service from a scope that was passed around', () => {
+        class Session { 
+            user = "john";
+        }
+        /** @type {any} */
+        let scope;
+        class Cache {
+            constructor() {
+                this.user = scope.session.user;
+            }
+        }
+
+        const provider = fluxject({ captiveDependencies: "throw" })
+            .register(m => m.scoped({ session: Session }))
+            .register(m => m.singleton({ cache: Cache }))
+            .prepare();
+        scope = provider.createScope();
+
+        expect(() => provider.cache.user).toThrow(CaptiveDependencyError);
+        expect(() => provider.cache.user).toThrow(`The singleton service "cache" cannot resolve the scoped service "session"`);
+    });
+
+    it('should throw CaptiveDependencyError when a singleton service resolves a scoped service that was already resolved from the scope', () => {
+        class Session { 
+            user = "john";
+        }
+        /** @type {any} */
+        let scope;
+        class Cache {
+            constructor() {
+                this.user = scope.session.user;
+            }
+        }
+
+        const provider = fluxject({ captiveDependencies: "throw" })
+            .register(m => m.scoped({ session: Session }))
+            .register(m => m.singleton({ cache: Cache }))
+            .prepare();
+        scope = provider.createScope();
+        expect(scope.session.user).toBe("john");
+
+        expect(() => provider.cache.user).toThrow(CaptiveDependencyError);
+    });
+
+    it('should throw CaptiveDependencyError when a singleton service stores a scoped service without de-referencing it', () => {
+        let isInstantiated = false;
+        class Session { 
+            constructor() {
+                isInstantiated = true;
+            }
+        }
+        /** @type {any} */
+        let scope;
+        class Cache {
+            constructor() {
+                this.session = scope.session;
+            }
+
+            doNothing() {
+
+            }
+        }
+
+        const provider = fluxject({ captiveDependencies: "throw" })
+            .register(m => m.scoped({ session: Session }))
+            .register(m => m.singleton({ cache: Cache }))
+            .prepare();
+        scope = provider.createScope();
+
+        expect(() => provider.cache.doNothing()).toThrow(`The singleton service "cache" cannot resolve the scoped service "session"`);
+        expect(isInstantiated).toBe(false);
+    });
+
+    it('should throw CaptiveDependencyError when a singleton service resolves a transient service in its constructor', () => {
+        class Clock {
+            now = 1;
+        }
+        class Scheduler {
+            constructor({ clock }) {
+                this.startedAt = clock.now;
+            }
+        }
+
+        const provider = fluxject({ captiveDependencies: "throw" })
+            .register(m => m.transient({ clock: Clock }))
+            .register(m => m.singleton({ scheduler: Scheduler }))
+            .prepare();
+
+        expect(() => provider.scheduler.startedAt).toThrow(CaptiveDependencyError);
+    });
+
+    it('should allow services to resolve services with an equal or longer lifetime', () => {
+        class Config {
+            port = 8080;
+        }
+        class Session {
+            constructor({ config }) {
+                this.port = config.port;
+            }
+        }
+        class Request {
+            constructor({ session, config }) {
+                this.port = session.port + config.port;
+            }
+        }
+
+        const provider = fluxject({ captiveDependencies: "throw" })
+            .register(m => m.singleton({ config: Config }))
+            .register(m => m.scoped({ session: Session, request: Request }))
+            .prepare();
+        const scope = provider.createScope();
+
+        expect(scope.request.port).toBe(16160);
+    });
+
+    it('should warn instead of throwing when [captiveDependencies] is "warn"', () => {
+        const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+        class Clock {
+            now = 1;
+        }
+        class Scheduler {
+            constructor({ clock }) {
+                this.startedAt = clock.now;
+            }
+        }
+
+        const provider = fluxject({ captiveDependencies: "warn" })
+            .register(m => m.transient({ clock: Clock }))
+            .register(m => m.singleton({ scheduler: Scheduler }))
+            .prepare();
+
+        expect(provider.scheduler.startedAt).toBe(1);
+        expect(warn).toHaveBeenCalledOnce();
+        expect(warn.mock.calls[0][0]).toContain("CaptiveDependencyError");
+        warn.mockRestore();
+    });
+
+    it('should not check for captive dependencies by default', () => {
+        class Clock {
+            now = 1;
+        }
+        class Scheduler {
+            constructor({ clock }) {
+                this.startedAt = clock.now;
+            }
+        }
+
+        const provider = fluxject()
+            .register(m => m.transient({ clock: Clock }))
+            .register(m => m.singleton({ scheduler: Scheduler }))
+            .prepare();
+
+        expect(provider.scheduler.startedAt).toBe(1);
+    });
+});
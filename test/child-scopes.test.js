@@ -0,0 +1,151 @@
+//@ts-check
+
+import { describe, it, expect } from 'vitest'
+import { fluxject, DisposalError } from "../src/index.js";
+
+describe('child scopes', () => {
+    it('should inherit the scoped services of the parent scope', () => {
+        let count = 0;
+        class UnitOfWork {
+            id = ++count;
+        }
+
+        const container = fluxject()
+            .register(m => m.scoped({ unitOfWork: UnitOfWork }));
+        const provider = container.prepare();
+        const scope = provider.createScope();
+        const child = scope.createScope();
+        const grandchild = child.createScope();
+
+        expect(child.unitOfWork.id).toBe(scope.unitOfWork.id);
+        expect(grandchild.unitOfWork.id).toBe(scope.unitOfWork.id);
+    });
+
+    it('should get a new instance of innermost scoped services in every child scope', () => {
+        let count = 0;
+        class UnitOfWork {
+            id = ++count;
+        }
+        class Operation {
+            id = ++count;
+            #services;
+
+            constructor(services) {
+                this.#services = services;
+            }
+
+            get unitOfWorkId() {
+                return this.#services.unitOfWork.id;
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.scoped({ unitOfWork: UnitOfWork }))
+            .register(m => m.scoped({ operation: Operation }, { innermost: true }));
+        const provider = container.prepare();
+        const scope = provider.createScope();
+        const first = scope.createScope();
+        const second = scope.createScope();
+
+        expect(first.operation.id).not.toBe(scope.operation.id);
+        expect(first.operation.id).not.toBe(second.operation.id);
+        expect(first.operation.unitOfWorkId).toBe(scope.unitOfWork.id);
+    });
+
+    it('should only dispose of the innermost services when a child scope is disposed of', () => {
+        /** @type {string[]} */
+        const disposed = [];
+        class UnitOfWork {
+            doNothing() {
+
+            }
+
+            [Symbol.dispose]() {
+                disposed.push("unitOfWork");
+            }
+        }
+        class Operation {
+            doNothing() {
+
+            }
+
+            [Symbol.dispose]() {
+                disposed.push("operation");
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.scoped({ unitOfWork: UnitOfWork }))
+            .register(m => m.scoped({ operation: Operation }, { innermost: true }));
+        const provider = container.prepare();
+        const scope = provider.createScope();
+        scope.unitOfWork.doNothing();
+        const child = scope.createScope();
+        child.operation.doNothing();
+        child.unitOfWork.doNothing();
+        child.dispose();
+
+        expect(disposed).toStrictEqual(["operation"]);
+        expect(() => scope.unitOfWork.doNothing()).not.toThrow();
+    });
+
+    it('should dispose of child scopes before their parent scope', () => {
+        /** @type {string[]} */
+        const disposed = [];
+        class UnitOfWork {
+            doNothing() {
+
+            }
+
+            [Symbol.dispose]() {
+                disposed.push("unitOfWork");
+            }
+        }
+        class Operation {
+            /** @type {string|undefined} */
+            owner;
+
+            [Symbol.dispose]() {
+                disposed.push(`operation (${this.owner})`);
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.scoped({ unitOfWork: UnitOfWork }))
+            .register(m => m.scoped({ operation: Operation }, { innermost: true }));
+        const provider = container.prepare();
+        const scope = provider.createScope();
+        scope.unitOfWork.doNothing();
+        const child = scope.createScope();
+        const grandchild = child.createScope();
+        child.operation.owner = "child";
+        grandchild.operation.owner = "grandchild";
+        provider.dispose();
+
+        expect(disposed).toStrictEqual([
+            "operation (grandchild)",
+            "operation (child)",
+            "unitOfWork"
+        ]);
+    });
+
+    it('should report disposal failures from child scopes when the parent scope is disposed of', () => {
+        class FaultyOperation {
+            use() {
+                return undefined;
+            }
+
+            [Symbol.dispose]() {
+                throw new Error("faulty dispose");
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.scoped({ faultyOperation: FaultyOperation }, { innermost: true }));
+        const provider = container.prepare();
+        const scope = provider.createScope();
+        scope.createScope().faultyOperation.use();
+
+        expect(() => scope.dispose()).toThrow(DisposalError);
+    });
+});
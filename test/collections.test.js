@@ -0,0 +1,157 @@
+//@ts-check
+
+import { describe, it, expect } from 'vitest'
+import { fluxject } from "../src/index.js";
+
+describe('collections', () => {
+    it('should inject collections as an ordered array of services', () => {
+        class CreatedHandler {
+            handle() {
+                return "created";
+            }
+        }
+        class UpdatedHandler {
+            handle() {
+                return "updated";
+            }
+        }
+        class Dispatcher {
+            #handlers;
+            constructor({ handlers }) {
+                this.#handlers = handlers;
+            }
+
+            dispatch() {
+                return this.#handlers.map(handler => handler.handle());
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.collection({ handlers: [CreatedHandler, UpdatedHandler] }))
+            .register(m => m.singleton({ dispatcher: Dispatcher }));
+        const provider = container.prepare();
+
+        expect(provider.handlers).toHaveLength(2);
+        expect(provider.handlers[0]).toBeInstanceOf(CreatedHandler);
+        expect(provider.dispatcher.dispatch()).toEqual(["created", "updated"]);
+    });
+
+    it('should lazily instantiate each element of a collection', () => {
+        let numInstances = 0;
+        class Handler {
+            constructor() {
+                numInstances++;
+            }
+
+            handle() { }
+        }
+
+        const container = fluxject()
+            .register(m => m.collection({ handlers: [Handler, Handler] }));
+        const provider = container.prepare();
+
+        expect(provider.handlers).toHaveLength(2);
+        expect(numInstances).toBe(0);
+        provider.handlers[1].handle();
+        expect(numInstances).toBe(1);
+    });
+
+    it('should append to an existing collection from other registrations', () => {
+        class CreatedHandler {
+            handle() {
+                return "created";
+            }
+        }
+        class UpdatedHandler {
+            handle() {
+                return "updated";
+            }
+        }
+        class DeletedHandler {
+            handle() {
+                return "deleted";
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.collection({ handlers: [CreatedHandler] }))
+            .register(m => m.collection({ handlers: [UpdatedHandler, DeletedHandler] }));
+        const provider = container.prepare();
+
+        expect(provider.handlers.map(handler => handler.handle())).toEqual(["created", "updated", "deleted"]);
+    });
+
+    it('should only make collections that contain a scoped element available from a scope', () => {
+        class CreatedHandler {
+            handle() {
+                return "created";
+            }
+        }
+        class UpdatedHandler {
+            handle() {
+                return "updated";
+            }
+        }
+
+        const container = fluxject({ strict: true })
+            .register(m => m.collection({ handlers: [CreatedHandler] }))
+            .register(m => m.collection({ handlers: [UpdatedHandler] }, { lifetime: "scoped" }));
+        const provider = container.prepare();
+        const scope1 = provider.createScope();
+        const scope2 = provider.createScope();
+
+        //@ts-expect-error
+        expect(provider.handlers).toBeUndefined();
+        expect(scope1.handlers.map(handler => handler.handle())).toEqual(["created", "updated"]);
+        // Singleton elements are shared between scopes, while Scoped elements are not.
+        expect(scope1.handlers[0]).toBe(scope2.handlers[0]);
+        expect(scope1.handlers[1]).not.toBe(scope2.handlers[1]);
+    });
+
+    it('should dispose of each element according to its own lifetime', () => {
+        /** @type {string[]} */
+        const disposed = [];
+        class SingletonHandler {
+            [Symbol.dispose]() {
+                disposed.push("singleton");
+            }
+        }
+        class ScopedHandler {
+            [Symbol.dispose]() {
+                disposed.push("scoped");
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.collection({ handlers: [SingletonHandler] }))
+            .register(m => m.collection({ handlers: [ScopedHandler] }, { lifetime: "scoped" }));
+        const provider = container.prepare();
+        const scope = provider.createScope();
+
+        expect(scope.handlers[0]).toBeInstanceOf(SingletonHandler);
+        expect(scope.handlers[1]).toBeInstanceOf(ScopedHandler);
+        scope.dispose();
+        expect(disposed).toEqual(["scoped"]);
+        provider.dispose();
+        expect(disposed).toEqual(["scoped", "singleton"]);
+    });
+
+    it('should instantiate transient elements on every property access', () => {
+        let numInstances = 0;
+        class Handler {
+            constructor() {
+                numInstances++;
+            }
+
+            handle() { }
+        }
+
+        const container = fluxject()
+            .register(m => m.collection({ handlers: [Handler] }, { lifetime: "transient" }));
+        const provider = container.prepare();
+
+        provider.handlers[0].handle();
+        provider.handlers[0].handle();
+        expect(numInstances).toBe(2);
+    });
+});
@@ -0,0 +1,169 @@
+//@ts-check
+
+import { describe, it, expect } from 'vitest'
+import { fluxject, FluxjectError } from "../src/index.js";
+
+describe('decorators', () => {
+    it('should provide the decorated instance to the provider and every dependent', () => {
+        class Repository {
+            find() {
+                return "repository";
+            }
+        }
+        class CachingRepository {
+            #inner;
+            constructor(inner) {
+                this.#inner = inner;
+            }
+
+            find() {
+                return `cached(${this.#inner.find()})`;
+            }
+        }
+        class Service {
+            #repository;
+            constructor({ repository }) {
+                this.#repository = repository;
+            }
+
+            find() {
+                return this.#repository.find();
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.singleton({ repository: Repository }))
+            .register(m => m.scoped({ service: Service }))
+            .register(m => m.decorate({ repository: (inner) => new CachingRepository(inner) }));
+        const provider = container.prepare();
+        const scope = provider.createScope();
+
+        expect(provider.repository).toBeInstanceOf(CachingRepository);
+        expect(provider.repository.find()).toBe("cached(repository)");
+        expect(scope.service.find()).toBe("cached(repository)");
+    });
+
+    it('should layer decorators in the order they were registered', () => {
+        class Repository {
+            find() {
+                return "repository";
+            }
+        }
+        class CachingRepository {
+            #inner;
+            constructor(inner) {
+                this.#inner = inner;
+            }
+
+            find() {
+                return `cached(${this.#inner.find()})`;
+            }
+        }
+        class RetryingRepository {
+            #inner;
+            constructor(inner) {
+                this.#inner = inner;
+            }
+
+            find() {
+                return `retried(${this.#inner.find()})`;
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.singleton({ repository: Repository }))
+            .register(m => m.decorate({ repository: [inner => new CachingRepository(inner), inner => new RetryingRepository(inner)] }))
+            .register(m => m.decorate({ repository: inner => new CachingRepository(inner) }));
+        const provider = container.prepare();
+
+        expect(provider.repository.find()).toBe("cached(retried(cached(repository)))");
+    });
+
+    it('should pass the injected services into each decorator', () => {
+        class Repository {
+            find() {
+                return "repository";
+            }
+        }
+        class Logger {
+            prefix = "log";
+        }
+
+        const container = fluxject()
+            .register(m => m.singleton({ logger: Logger }))
+            .register(m => m.transient({ repository: Repository }))
+            .register(m => m.decorate({ repository: (inner, { logger }) => ({ find: () => `${logger.prefix}(${inner.find()})` }) }));
+        const provider = container.prepare();
+
+        expect(provider.repository.find()).toBe("log(repository)");
+    });
+
+    it('should dispose of the decorated instance followed by each inner instance', async () => {
+        /** @type {string[]} */
+        const disposed = [];
+        class DisposableRepository {
+            async [Symbol.asyncDispose]() {
+                disposed.push("inner");
+            }
+        }
+        class DisposableDecorator {
+            constructor(inner) {
+                this.inner = inner;
+            }
+
+            async [Symbol.asyncDispose]() {
+                await new Promise(res => setTimeout(res, 5));
+                disposed.push("decorator");
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.scoped({ repository: DisposableRepository }))
+            .register(m => m.decorate({ repository: (inner) => new DisposableDecorator(inner) }));
+        const provider = container.prepare();
+        const scope = provider.createScope();
+
+        expect(scope.repository).toBeInstanceOf(DisposableDecorator);
+        await scope.dispose();
+        expect(disposed).toEqual(["decorator", "inner"]);
+    });
+
+    it('should decorate asynchronous services once they resolve', async () => {
+        class Repository {
+            find() {
+                return "repository";
+            }
+        }
+        class CachingRepository {
+            #inner;
+            constructor(inner) {
+                this.#inner = inner;
+            }
+
+            find() {
+                return `cached(${this.#inner.find()})`;
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.singleton({ repository: async () => new Repository() }))
+            .register(m => m.decorate({ repository: (inner) => new CachingRepository(inner) }));
+        const provider = await container.prepareAsync();
+
+        expect(provider.repository.find()).toBe("cached(repository)");
+    });
+
+    it('should throw FluxjectError when decorating a service that is not registered', () => {
+        class Repository {
+            find() {
+                return "repository";
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.singleton({ repository: Repository }));
+
+        //@ts-expect-error
+        expect(() => container.register(m => m.decorate({ repo: inner => inner }))).toThrow(FluxjectError);
+    });
+});
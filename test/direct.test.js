@@ -0,0 +1,134 @@
+//@ts-check
+
+import { describe, it, expect } from 'vitest'
+import { fluxject } from "../src/index.js";
+
+describe('direct services', () => {
+    it('should provide the actual instances of singleton and scoped services with prepare({ proxies: false })', () => {
+        let count = 0;
+        class Database {
+            id = ++count;
+
+            query() {
+                return this;
+            }
+        }
+        class Repository {
+            #services;
+            constructor(services) {
+                this.#services = services;
+            }
+
+            get databaseId() {
+                return this.#services.database.id;
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.singleton({ database: Database }))
+            .register(m => m.scoped({ repository: Repository }));
+        const provider = container.prepare({ proxies: false });
+        const scope = provider.createScope();
+
+        expect(provider.database).toBe(provider.database);
+        expect(provider.database.query()).toBe(provider.database);
+        expect(scope.repository).toBe(scope.repository);
+        expect(scope.repository).toBeInstanceOf(Repository);
+        expect(scope.repository.databaseId).toBe(provider.database.id);
+        expect(provider.createScope().repository).not.toBe(scope.repository);
+    });
+
+    it('should still instantiate services lazily, the first time they are accessed', () => {
+        let count = 0;
+        class Database {
+            constructor() {
+                count++;
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.singleton({ database: Database }));
+        const provider = container.prepare({ proxies: false });
+
+        expect(count).toBe(0);
+        provider.database;
+        expect(count).toBe(1);
+    });
+
+    it('should dispose of direct services just like lazy references', () => {
+        /** @type {string[]} */
+        const disposed = [];
+        class Database {
+            id = 1;
+
+            [Symbol.dispose]() {
+                disposed.push("database");
+            }
+        }
+        class Repository {
+            #services;
+            constructor(services) {
+                this.#services = services;
+            }
+
+            get databaseId() {
+                return this.#services.database.id;
+            }
+
+            [Symbol.dispose]() {
+                disposed.push("repository");
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.singleton({ database: Database }))
+            .register(m => m.scoped({ repository: Repository }));
+        const provider = container.prepare({ proxies: false });
+        const scope = provider.createScope();
+        scope.repository.databaseId;
+        provider.dispose();
+
+        expect(disposed).toStrictEqual(["repository", "database"]);
+        expect(provider.database).toBeUndefined();
+    });
+
+    it('should be able to register services as direct, where transient services always remain lazy references', () => {
+        let count = 0;
+        class Database { }
+        class Repository { }
+        class Formatter {
+            id = ++count;
+        }
+
+        const container = fluxject()
+            .register(m => m.singleton({ database: Database }, { direct: true }))
+            .register(m => m.singleton({ repository: Repository }))
+            .register(m => m.transient({ formatter: Formatter }));
+        const provider = container.prepare({ proxies: false });
+
+        expect(provider.database).toBeInstanceOf(Database);
+        expect(provider.repository).toBeInstanceOf(Repository);
+        expect(provider.formatter.id).not.toBe(provider.formatter.id);
+    });
+
+    it('should keep services that are intercepted as lazy references', () => {
+        /** @type {string[]} */
+        const calls = [];
+        class Database {
+            query() {
+                return this;
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.singleton({ database: Database }))
+            .intercept("database", (invocation) => {
+                calls.push(invocation.method);
+                return invocation.proceed();
+            });
+        const provider = container.prepare({ proxies: false });
+
+        provider.database.query();
+        expect(calls).toStrictEqual(["query"]);
+    });
+});
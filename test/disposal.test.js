@@ -0,0 +1,389 @@
+//@ts-check
+
+import { describe, it, expect } from 'vitest'
+import { fluxject, DisposalError, DisposalTimeoutError } from "../src/index.js";
+
+/**
+ * @param {number} ms
+ */
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('disposal order', () => {
+    it('should dispose of singletons before the services they resolved (even when resolved lazily)', async () => {
+        /** @type {string[]} */
+        const events = [];
+        class Pool {
+            closed = false;
+
+            query() {
+                return "result";
+            }
+
+            async [Symbol.asyncDispose]() {
+                events.push("pool:start");
+                await delay(5);
+                this.closed = true;
+                events.push("pool:end");
+            }
+        }
+        class Repository {
+            #services;
+            constructor(services) {
+                this.#services = services;
+            }
+
+            find() {
+                return this.#services.pool.query();
+            }
+
+            async [Symbol.asyncDispose]() {
+                events.push("repository:start");
+                await delay(5);
+                // Flushing to the pool must happen before the pool is closed.
+                events.push(`repository:end (pool closed: ${this.#services.pool.closed})`);
+            }
+        }
+
+        // The pool is registered (and instantiated) after the repository, so neither order would dispose of it last.
+        const container = fluxject()
+            .register(m => m.singleton({ repository: Repository }))
+            .register(m => m.singleton({ pool: Pool }));
+        const provider = container.prepare();
+        provider.repository.find();
+        await provider.dispose();
+
+        expect(events).toStrictEqual([
+            "repository:start",
+            "repository:end (pool closed: false)",
+            "pool:start",
+            "pool:end"
+        ]);
+    });
+
+    it('should dispose of scoped services before the services they resolved', async () => {
+        /** @type {string[]} */
+        const events = [];
+        class Pool {
+            closed = false;
+
+            query() {
+                return "result";
+            }
+
+            async [Symbol.asyncDispose]() {
+                events.push("pool:start");
+                await delay(5);
+                this.closed = true;
+                events.push("pool:end");
+            }
+        }
+        class Repository {
+            #services;
+            constructor(services) {
+                this.#services = services;
+            }
+
+            find() {
+                return this.#services.pool.query();
+            }
+
+            async [Symbol.asyncDispose]() {
+                events.push("repository:start");
+                await delay(5);
+                events.push(`repository:end (pool closed: ${this.#services.pool.closed})`);
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.scoped({ pool: Pool, repository: Repository }));
+        const provider = container.prepare();
+        const scope = provider.createScope();
+        scope.repository.find();
+        await scope.dispose();
+
+        expect(events).toStrictEqual([
+            "repository:start",
+            "repository:end (pool closed: false)",
+            "pool:start",
+            "pool:end"
+        ]);
+    });
+
+    it('should dispose of services within the same dependency level in parallel by default', async () => {
+        /** @type {string[]} */
+        const events = [];
+        class Pool {
+            query() {
+                return "result";
+            }
+
+            async [Symbol.asyncDispose]() {
+                events.push("pool:start");
+                await delay(5);
+                events.push("pool:end");
+            }
+        }
+        class Cache {
+            get() {
+                return undefined;
+            }
+
+            async [Symbol.asyncDispose]() {
+                events.push("cache:start");
+                await delay(5);
+                events.push("cache:end");
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.singleton({ pool: Pool, cache: Cache }));
+        const provider = container.prepare();
+        provider.pool.query();
+        provider.cache.get();
+        await provider.dispose();
+
+        expect(events).toStrictEqual(["cache:start", "pool:start", "cache:end", "pool:end"]);
+    });
+
+    it('should dispose of services one at a time, from the most recently instantiated, when disposal is "sequential"', async () => {
+        /** @type {string[]} */
+        const events = [];
+        class Pool {
+            query() {
+                return "result";
+            }
+
+            async [Symbol.asyncDispose]() {
+                events.push("pool:start");
+                await delay(5);
+                events.push("pool:end");
+            }
+        }
+        class Cache {
+            get() {
+                return undefined;
+            }
+
+            async [Symbol.asyncDispose]() {
+                events.push("cache:start");
+                await delay(5);
+                events.push("cache:end");
+            }
+        }
+
+        const container = fluxject({ disposal: "sequential" })
+            .register(m => m.singleton({ pool: Pool, cache: Cache }));
+        const provider = container.prepare();
+        provider.pool.query();
+        provider.cache.get();
+        await provider.dispose();
+
+        expect(events).toStrictEqual(["cache:start", "cache:end", "pool:start", "pool:end"]);
+    });
+
+    it('should dispose of declared dependencies after their dependents', async () => {
+        /** @type {string[]} */
+        const events = [];
+        class Pool {
+            query() {
+                return "result";
+            }
+
+            async [Symbol.asyncDispose]() {
+                events.push("pool:start");
+                await delay(5);
+                events.push("pool:end");
+            }
+        }
+        class Audit {
+            record() {
+                events.push("record");
+            }
+
+            [Symbol.dispose]() {
+                events.push("audit");
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.singleton({ pool: Pool }))
+            .register(m => m.singleton({ audit: () => new Audit() }, { dependencies: { audit: ["pool"] } }));
+        const provider = container.prepare();
+        provider.pool.query();
+        provider.audit.record();
+        await provider.dispose();
+
+        expect(events).toStrictEqual(["record", "audit", "pool:start", "pool:end"]);
+    });
+
+    it('should remain synchronous when every service is disposed of synchronously', () => {
+        /** @type {string[]} */
+        const events = [];
+        class Audit {
+            record() {
+                events.push("record");
+            }
+
+            [Symbol.dispose]() {
+                events.push("audit");
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.singleton({ audit: Audit }));
+        const provider = container.prepare();
+        provider.audit.record();
+
+        expect(provider.dispose()).toBeUndefined();
+        expect(events).toStrictEqual(["record", "audit"]);
+    });
+});
+
+describe('disposal failures', () => {
+    it('should continue past a synchronous failure and throw a DisposalError naming the service', () => {
+        let isAuditDisposed = false;
+        class Faulty {
+            use() {
+                return undefined;
+            }
+
+            [Symbol.dispose]() {
+                throw new Error("faulty dispose");
+            }
+        }
+        class Audit {
+            record() {
+
+            }
+
+            [Symbol.dispose]() {
+                isAuditDisposed = true;
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.singleton({ faulty: Faulty, audit: Audit }));
+        const provider = container.prepare();
+        provider.faulty.use();
+        provider.audit.record();
+
+        /** @type {any} */
+        let error;
+        try {
+            provider.dispose();
+        }
+        catch(err) {
+            error = err;
+        }
+        expect(error).toBeInstanceOf(DisposalError);
+        expect(error).toBeInstanceOf(AggregateError);
+        expect(error.failures).toHaveLength(1);
+        expect(error.failures[0].service).toBe("faulty");
+        expect(error.failures[0].lifetime).toBe("singleton");
+        expect(error.errors[0].message).toBe("faulty dispose");
+        expect(isAuditDisposed).toBe(true);
+    });
+
+    it('should collect the failures from every scope and every singleton into a single DisposalError', async () => {
+        let isPoolDisposed = false;
+        class Faulty {
+            use() {
+                return undefined;
+            }
+
+            [Symbol.dispose]() {
+                throw new Error("faulty dispose");
+            }
+        }
+        class FaultyAsync {
+            use() {
+                return undefined;
+            }
+
+            async [Symbol.asyncDispose]() {
+                throw new Error("faulty async dispose");
+            }
+        }
+        class Pool {
+            query() {
+                return "result";
+            }
+
+            async [Symbol.asyncDispose]() {
+                await delay(5);
+                isPoolDisposed = true;
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.singleton({ faultyAsync: FaultyAsync, pool: Pool }))
+            .register(m => m.scoped({ faulty: Faulty }));
+        const provider = container.prepare();
+        provider.faultyAsync.use();
+        provider.pool.query();
+        provider.createScope().faulty.use();
+        provider.createScope().faulty.use();
+
+        /** @type {any} */
+        let error;
+        try {
+            await provider.dispose();
+        }
+        catch(err) {
+            error = err;
+        }
+        expect(error).toBeInstanceOf(DisposalError);
+        expect(error.failures.map(failure => `${failure.service} (${failure.lifetime})`)).toStrictEqual([
+            "faulty (scoped)",
+            "faulty (scoped)",
+            "faultyAsync (singleton)"
+        ]);
+        expect(isPoolDisposed).toBe(true);
+    });
+
+    it('should report asynchronous disposals that do not settle within the timeout', async () => {
+        let isPoolDisposed = false;
+        class Hanging {
+            use() {
+                return undefined;
+            }
+
+            [Symbol.asyncDispose]() {
+                return new Promise(() => {});
+            }
+        }
+        class Pool {
+            query() {
+                return "result";
+            }
+
+            async [Symbol.asyncDispose]() {
+                await delay(5);
+                isPoolDisposed = true;
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.scoped({ hanging: Hanging, pool: Pool }));
+        const provider = container.prepare();
+        const scope = provider.createScope();
+        scope.hanging.use();
+        scope.pool.query();
+
+        /** @type {any} */
+        let error;
+        try {
+            await scope.dispose({ timeout: 20 });
+        }
+        catch(err) {
+            error = err;
+        }
+        expect(error).toBeInstanceOf(DisposalError);
+        expect(error.failures).toHaveLength(1);
+        expect(error.failures[0].service).toBe("hanging");
+        expect(error.errors[0]).toBeInstanceOf(DisposalTimeoutError);
+        expect(isPoolDisposed).toBe(true);
+    });
+});
@@ -0,0 +1,132 @@
+//@ts-check
+
+import { describe, it, expect } from 'vitest'
+import { fluxject, FluxjectError } from "../src/index.js";
+
+describe('eager instantiation', () => {
+    it('should instantiate singletons registered with [eager] during prepare', () => {
+        /** @type {string[]} */
+        const instantiated = [];
+        class Config {
+            constructor() {
+                instantiated.push("config");
+            }
+        }
+        class Database {
+            constructor() {
+                instantiated.push("database");
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.singleton({ config: Config }))
+            .register(m => m.singleton({ database: Database }, { eager: true }));
+        container.prepare();
+
+        expect(instantiated).toStrictEqual(["database"]);
+    });
+
+    it('should allow [eager] to be given for individual registrations', () => {
+        /** @type {string[]} */
+        const instantiated = [];
+        class Config {
+            constructor() {
+                instantiated.push("config");
+            }
+        }
+        class Database {
+            constructor() {
+                instantiated.push("database");
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.singleton({ config: Config, database: Database }, { eager: { config: true } }));
+        const provider = container.prepare();
+
+        expect(instantiated).toStrictEqual(["config"]);
+        provider.database;
+        expect(instantiated).toStrictEqual(["config"]);
+    });
+
+    it('should instantiate singletons named in prepare({ eager }) during prepare', () => {
+        /** @type {string[]} */
+        const instantiated = [];
+        class Config {
+            constructor() {
+                instantiated.push("config");
+            }
+        }
+        class Database {
+            constructor() {
+                instantiated.push("database");
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.singleton({ config: Config, database: Database }));
+        container.prepare({ eager: ["database"] });
+
+        expect(instantiated).toStrictEqual(["database"]);
+    });
+
+    it('should instantiate eager services after the eager services they declared they depend on', () => {
+        /** @type {string[]} */
+        const instantiated = [];
+        class Config {
+            constructor() {
+                instantiated.push("config");
+            }
+        }
+        class Database {
+            constructor() {
+                instantiated.push("database");
+            }
+        }
+        class Cache {
+            constructor() {
+                instantiated.push("cache");
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.singleton({ cache: Cache, database: Database, config: Config }, {
+                eager: true,
+                dependencies: { cache: ["database"], database: ["config"] }
+            }));
+        container.prepare();
+
+        expect(instantiated).toStrictEqual(["config", "database", "cache"]);
+    });
+
+    it('should throw errors from eager services from prepare', () => {
+        class Broken {
+            constructor() {
+                throw new Error("Missing connection string");
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.singleton({ broken: Broken }, { eager: true }));
+
+        expect(() => container.prepare()).toThrow("Missing connection string");
+    });
+
+    it('should only instantiate registered singleton services eagerly', () => {
+        class Database { }
+
+        const container = fluxject()
+            .register(m => m.scoped({ database: Database }, { eager: true }));
+
+        expect(() => container.prepare()).toThrow(FluxjectError);
+        // @ts-expect-error - "missing" is not a registered Singleton service.
+        expect(() => fluxject().prepare({ eager: ["missing"] })).toThrow(FluxjectError);
+    });
+
+    it('should await asynchronous eager services with prepareAsync', async () => {
+        const container = fluxject()
+            .register(m => m.singleton({ database: async () => { throw new Error("Connection refused"); } }, { eager: true }));
+
+        await expect(container.prepareAsync()).rejects.toThrow("Connection refused");
+    });
+});
@@ -0,0 +1,177 @@
+//@ts-check
+
+import { describe, it, expect } from 'vitest'
+import { fluxject, FluxjectError, toDot, toJSON, toMermaid } from "../src/index.js";
+
+describe('dependency graph', () => {
+    it('should describe the name, lifetime, factory kind and declared dependencies of every registration', () => {
+        class Database {
+            query() {
+                return [];
+            }
+        }
+        class OrderRepository {
+            #services;
+            constructor(services) {
+                this.#services = services;
+            }
+
+            findAll() {
+                return this.#services.database.query();
+            }
+        }
+        class CreatedHandler { }
+        class UpdatedHandler { }
+
+        const container = fluxject()
+            .register(m => m.value({ config: { port: 8080 } }))
+            .register(m => m.singleton({ database: Database, clock: () => new Date(0) }))
+            .register(m => m.scoped({ orderRepository: OrderRepository }, { dependencies: { orderRepository: ["database"] } }))
+            .register(m => m.collection({ handlers: [CreatedHandler, UpdatedHandler] }));
+
+        expect(container.describe()).toStrictEqual([
+            { name: "config", lifetime: "singleton", kind: "value", dependencies: [] },
+            { name: "database", lifetime: "singleton", kind: "class", dependencies: [] },
+            { name: "clock", lifetime: "singleton", kind: "factory", dependencies: [] },
+            { name: "orderRepository", lifetime: "scoped", kind: "class", dependencies: ["database"] },
+            { name: "handlers", lifetime: "singleton", kind: "collection", dependencies: [] }
+        ]);
+    });
+
+    it('should only contain the dependencies that have been observed in the graph', () => {
+        class Database {
+            query() {
+                return [];
+            }
+        }
+        class OrderRepository {
+            #services;
+            constructor(services) {
+                this.#services = services;
+            }
+
+            findAll() {
+                return this.#services.database.query();
+            }
+        }
+        class CreatedHandler { }
+        class UpdatedHandler { }
+
+        const container = fluxject()
+            .register(m => m.value({ config: { port: 8080 } }))
+            .register(m => m.singleton({ database: Database, clock: () => new Date(0) }))
+            .register(m => m.scoped({ orderRepository: OrderRepository }, { dependencies: { orderRepository: ["database"] } }))
+            .register(m => m.collection({ handlers: [CreatedHandler, UpdatedHandler] }));
+        const provider = container.prepare();
+
+        expect(provider.graph().edges).toStrictEqual([
+            { from: "handlers", to: "handlers[0]" },
+            { from: "handlers", to: "handlers[1]" }
+        ]);
+
+        const scope = provider.createScope();
+        scope.orderRepository.findAll();
+        expect(provider.graph().edges).toContainEqual({ from: "orderRepository", to: "database" });
+        expect(scope.graph()).toStrictEqual(provider.graph());
+    });
+
+    it('should contain every service in the graph, including the elements of each collection', () => {
+        class Database {
+            query() {
+                return [];
+            }
+        }
+        class OrderRepository {
+            #services;
+            constructor(services) {
+                this.#services = services;
+            }
+
+            findAll() {
+                return this.#services.database.query();
+            }
+        }
+        class CreatedHandler { }
+        class UpdatedHandler { }
+
+        const container = fluxject()
+            .register(m => m.value({ config: { port: 8080 } }))
+            .register(m => m.singleton({ database: Database, clock: () => new Date(0) }))
+            .register(m => m.scoped({ orderRepository: OrderRepository }, { dependencies: { orderRepository: ["database"] } }))
+            .register(m => m.collection({ handlers: [CreatedHandler, UpdatedHandler] }));
+        const provider = container.prepare();
+
+        expect(provider.graph().nodes.map(node => node.name)).toStrictEqual([
+            "config", "database", "clock", "orderRepository", "handlers", "handlers[0]", "handlers[1]"
+        ]);
+    });
+
+    it('should not be able to access graph from the injected provider of a service', () => {
+        let graph;
+        class Inspector {
+            constructor(services) {
+                graph = services.graph;
+            }
+
+            inspect() {
+                return undefined;
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.singleton({ inspector: Inspector }));
+        const provider = container.prepare();
+        provider.inspector.inspect();
+
+        expect(provider.graph()).toBeDefined();
+        expect(graph).toBeUndefined();
+    });
+
+    it('should throw FluxjectError when a service is registered under the name of a provider member', () => {
+        class Graph { }
+
+        expect(() => fluxject().register(m => m.singleton({ graph: Graph }))).toThrow(FluxjectError);
+        expect(() => fluxject().register(m => m.scoped({ runInScope: Graph }))).toThrow(`Cannot register "runInScope", since it is the name of a member of the service provider.`);
+        expect(() => fluxject().register(m => m.value({ resolve: new Graph() }))).toThrow(FluxjectError);
+    });
+
+    it('should export the graph with toJSON, toDot and toMermaid', () => {
+        class Database {
+            query() {
+                return [];
+            }
+        }
+        class OrderRepository {
+            #services;
+            constructor(services) {
+                this.#services = services;
+            }
+
+            findAll() {
+                return this.#services.database.query();
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.singleton({ database: Database }))
+            .register(m => m.scoped({ orderRepository: OrderRepository }));
+        const provider = container.prepare();
+        provider.createScope().orderRepository.findAll();
+        const graph = provider.graph();
+
+        expect(JSON.parse(toJSON(graph))).toStrictEqual(graph);
+        expect(toDot(graph)).toBe([
+            `digraph services {`,
+            `    "database" [label="database\\n(singleton)"];`,
+            `    "orderRepository" [label="orderRepository\\n(scoped)"];`,
+            `    "orderRepository" -> "database";`,
+            `}`
+        ].join("\n"));
+        expect(toMermaid(graph)).toBe([
+            `flowchart LR`,
+            `    s0["database<br/>(singleton)"]`,
+            `    s1["orderRepository<br/>(scoped)"]`,
+            `    s1 --> s0`
+        ].join("\n"));
+    });
+});
@@ -0,0 +1,150 @@
+//@ts-check
+
+import { describe, it, expect } from 'vitest'
+import { fluxject, FluxjectError } from "../src/index.js";
+
+describe('handles', () => {
+    it('should return a stable transient instance from create that is owned by the handle', () => {
+        let disposedCount = 0;
+        class ReportBuilder {
+            /** @type {string[]} */
+            rows = [];
+
+            /**
+             * @param {string} row
+             */
+            add(row) {
+                this.rows.push(row);
+            }
+
+            [Symbol.dispose]() {
+                disposedCount++;
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.transient({ reportBuilder: ReportBuilder }));
+        const provider = container.prepare();
+        const handle = provider.create("reportBuilder");
+        handle.instance.add("first");
+        handle.instance.add("second");
+
+        expect(handle.instance.rows).toStrictEqual(["first", "second"]);
+        expect(handle.instance).toBeInstanceOf(ReportBuilder);
+        expect(disposedCount).toBe(0);
+
+        handle[Symbol.dispose]();
+        handle[Symbol.dispose]();
+        expect(disposedCount).toBe(1);
+    });
+
+    it('should give each handle a different instance, which the provider never disposes of', () => {
+        let isDisposed = false;
+        let count = 0;
+        class ReportBuilder {
+            id = ++count;
+
+            [Symbol.dispose]() {
+                isDisposed = true;
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.transient({ reportBuilder: ReportBuilder }));
+        const provider = container.prepare();
+        const first = provider.create("reportBuilder");
+        const second = provider.create("reportBuilder");
+        provider.dispose();
+
+        expect(first.instance.id).not.toBe(second.instance.id);
+        expect(isDisposed).toBe(false);
+    });
+
+    it('should await asynchronous disposals from the handle', async () => {
+        let isDisposed = false;
+        class AsyncReportBuilder {
+            async [Symbol.asyncDispose]() {
+                await Promise.resolve();
+                isDisposed = true;
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.transient({ asyncReportBuilder: AsyncReportBuilder }));
+        const provider = container.prepare();
+        const handle = provider.create("asyncReportBuilder");
+        await handle[Symbol.asyncDispose]();
+
+        expect(isDisposed).toBe(true);
+    });
+
+    it('should throw when a handle is disposed of synchronously but its instance is disposed of asynchronously', async () => {
+        class FailingReportBuilder {
+            async [Symbol.asyncDispose]() {
+                throw new Error("flush failed");
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.transient({ failingReportBuilder: FailingReportBuilder }));
+        const provider = container.prepare();
+        const handle = provider.create("failingReportBuilder");
+
+        expect(() => handle[Symbol.dispose]()).toThrow(FluxjectError);
+        await expect(handle.dispose()).rejects.toThrow("flush failed");
+        await expect(handle[Symbol.asyncDispose]()).rejects.toThrow("flush failed");
+    });
+
+    it('should return the instance held by the provider from resolve for non-transient services, without disposing of it', () => {
+        class ReportBuilder { }
+        class Settings {
+            level = "info";
+        }
+        class Session {
+            user = "alice";
+        }
+
+        const container = fluxject()
+            .register(m => m.transient({ reportBuilder: ReportBuilder }))
+            .register(m => m.singleton({ settings: Settings }))
+            .register(m => m.scoped({ session: Session }));
+        const provider = container.prepare();
+        const scope = provider.createScope();
+        const settings = provider.resolve("settings");
+        const session = scope.resolve("session");
+        settings.dispose();
+
+        expect(settings.instance).toBeInstanceOf(Settings);
+        expect(session.instance).toBeInstanceOf(Session);
+        expect(provider.settings.level).toBe("info");
+        expect(scope.resolve("reportBuilder").instance).toBeInstanceOf(ReportBuilder);
+    });
+
+    it('should throw from create for services that are not transient, and from both for unknown services', () => {
+        class Settings { }
+        class Session { }
+
+        const container = fluxject()
+            .register(m => m.singleton({ settings: Settings }))
+            .register(m => m.scoped({ session: Session }));
+        const provider = container.prepare();
+
+        // @ts-expect-error - "settings" is not a Transient service.
+        expect(() => provider.create("settings")).toThrow(FluxjectError);
+        // @ts-expect-error - "session" is not available on the Host Service Provider.
+        expect(() => provider.resolve("session")).toThrow(FluxjectError);
+    });
+
+    it('should not be able to access resolve or create from the injected provider of a service', () => {
+        /** @type {any} */
+        let injected;
+
+        const container = fluxject()
+            .register(m => m.singleton({ consumer: (services) => injected = services }));
+        const provider = container.prepare();
+        provider.resolve("consumer");
+
+        expect(injected.resolve).toBeUndefined();
+        expect(injected.create).toBeUndefined();
+    });
+});
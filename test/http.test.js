@@ -0,0 +1,216 @@
+//@ts-check
+
+import { describe, it, expect } from 'vitest'
+import { createServer } from "http";
+import { EventEmitter } from "events";
+import { fluxject } from "../src/index.js";
+import { expressScope, fastifyScope, koaScope, scopedHandler } from "../src/http.js";
+
+/**
+ * Start a server with the given handler, send a request to `path` and return the response body.
+ * @param {import("http").RequestListener} handler
+ * @param {string} path
+ */
+async function request(handler, path) {
+    const server = createServer(handler);
+    await new Promise(resolve => server.listen(0, "127.0.0.1", () => resolve(undefined)));
+    try {
+        const address = /** @type {import("net").AddressInfo} */ (server.address());
+        const response = await fetch(`http://127.0.0.1:${address.port}${path}`);
+        return { status: response.status, body: await response.text() };
+    }
+    finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+}
+
+/**
+ * Create a fake request and response, where the response emits "finish" when `end` is invoked.
+ */
+function fakeRequest() {
+    const request = /** @type {any} */ (Object.assign(new EventEmitter(), { method: "GET", url: "/fake" }));
+    const response = /** @type {any} */ (new EventEmitter());
+    response.end = () => response.emit("finish");
+    return { request, response };
+}
+
+/**
+ * Wait for all pending asynchronous disposals to settle.
+ */
+function settle() {
+    return new Promise(resolve => setTimeout(resolve, 5));
+}
+
+describe('http adapter', () => {
+    it('should create a scope per request with [scopedHandler] and dispose of it once the response finishes', async () => {
+        /** @type {string[]} */
+        const disposed = [];
+        class RequestContext {
+            /** @type {string|undefined} */
+            path;
+
+            async [Symbol.asyncDispose]() {
+                disposed.push(this.path ?? "unknown");
+            }
+        }
+
+        const provider = fluxject()
+            .register(m => m.scoped({ requestContext: RequestContext }))
+            .prepare();
+        const handler = scopedHandler(provider, (req, res, scope) => {
+            scope.requestContext.path = req.url;
+            expect(/** @type {any} */ (req).scope).toBe(scope);
+            res.end(scope.requestContext.path);
+        });
+
+        expect(await request(handler, "/orders")).toStrictEqual({ status: 200, body: "/orders" });
+        expect(await request(handler, "/users")).toStrictEqual({ status: 200, body: "/users" });
+        await settle();
+        expect(disposed).toStrictEqual(["/orders", "/users"]);
+    });
+
+    it('should report handler errors from [scopedHandler] and respond with a 500 status code', async () => {
+        /** @type {string[]} */
+        const disposed = [];
+        /** @type {unknown[]} */
+        const errors = [];
+        class RequestContext {
+            /** @type {string|undefined} */
+            path;
+
+            async [Symbol.asyncDispose]() {
+                disposed.push(this.path ?? "unknown");
+            }
+        }
+
+        const provider = fluxject()
+            .register(m => m.scoped({ requestContext: RequestContext }))
+            .prepare();
+        const handler = scopedHandler(provider, async (req, res, scope) => {
+            scope.requestContext.path = req.url;
+            throw new Error("handler failed");
+        }, { onError: error => errors.push(error) });
+
+        expect((await request(handler, "/failing")).status).toBe(500);
+        await settle();
+        expect(errors).toHaveLength(1);
+        expect(disposed).toStrictEqual(["/failing"]);
+    });
+
+    it('should pass errors from disposing of the scope to [onError]', async () => {
+        /** @type {unknown[]} */
+        const errors = [];
+        class FaultyContext {
+            use() {
+                return undefined;
+            }
+
+            [Symbol.dispose]() {
+                throw new Error("faulty dispose");
+            }
+        }
+
+        const provider = fluxject()
+            .register(m => m.scoped({ faultyContext: FaultyContext }))
+            .prepare();
+        const { request, response } = fakeRequest();
+        expressScope(provider, { onError: error => errors.push(error) })(request, response, () => {
+            request.scope.faultyContext.use();
+        });
+        response.end();
+
+        expect(errors).toHaveLength(1);
+    });
+
+    it('should attach the scope to the request with [expressScope] and dispose of it once the connection closes', async () => {
+        /** @type {string[]} */
+        const disposed = [];
+        class RequestContext {
+            /** @type {string|undefined} */
+            path;
+
+            async [Symbol.asyncDispose]() {
+                disposed.push(this.path ?? "unknown");
+            }
+        }
+
+        const provider = fluxject()
+            .register(m => m.scoped({ requestContext: RequestContext }))
+            .prepare();
+        const { request, response } = fakeRequest();
+        let nextCalled = false;
+        expressScope(provider, { property: "services" })(request, response, () => {
+            nextCalled = true;
+        });
+        request.services.requestContext.path = "/express";
+        response.emit("close");
+        response.emit("finish");
+        await settle();
+
+        expect(nextCalled).toBe(true);
+        expect(disposed).toStrictEqual(["/express"]);
+    });
+
+    it('should attach the scope to ctx.state with [koaScope]', async () => {
+        /** @type {string[]} */
+        const disposed = [];
+        class RequestContext {
+            /** @type {string|undefined} */
+            path;
+
+            async [Symbol.asyncDispose]() {
+                disposed.push(this.path ?? "unknown");
+            }
+        }
+
+        const provider = fluxject()
+            .register(m => m.scoped({ requestContext: RequestContext }))
+            .prepare();
+        const { request, response } = fakeRequest();
+        const ctx = { req: request, res: response, state: /** @type {Record<string, any>} */ ({}) };
+        await koaScope(provider)(ctx, async () => {
+            ctx.state.scope.requestContext.path = "/koa";
+        });
+        response.end();
+        await settle();
+
+        expect(disposed).toStrictEqual(["/koa"]);
+    });
+
+    it('should register an onRequest hook with [fastifyScope] that attaches the scope to the request', async () => {
+        /** @type {string[]} */
+        const disposed = [];
+        class RequestContext {
+            /** @type {string|undefined} */
+            path;
+
+            async [Symbol.asyncDispose]() {
+                disposed.push(this.path ?? "unknown");
+            }
+        }
+
+        const provider = fluxject()
+            .register(m => m.scoped({ requestContext: RequestContext }))
+            .prepare();
+        /** @type {Record<string, Function>} */
+        const hooks = {};
+        /** @type {string[]} */
+        const decorated = [];
+        const plugin = fastifyScope(provider);
+        plugin({
+            decorateRequest: (/** @type {string} */ name) => decorated.push(name),
+            addHook: (/** @type {string} */ name, /** @type {Function} */ hook) => hooks[name] = hook
+        }, {}, () => {});
+
+        const { request, response } = fakeRequest();
+        const fastifyRequest = /** @type {any} */ ({ raw: request });
+        hooks.onRequest(fastifyRequest, { raw: response }, () => {});
+        fastifyRequest.scope.requestContext.path = "/fastify";
+        response.end();
+        await settle();
+
+        expect(decorated).toStrictEqual(["scope"]);
+        expect(/** @type {any} */ (plugin)[Symbol.for("skip-override")]).toBe(true);
+        expect(disposed).toStrictEqual(["/fastify"]);
+    });
+});
@@ -0,0 +1,192 @@
+//@ts-check
+
+import { describe, it, expect } from 'vitest'
+import { fluxject } from "../src/index.js";
+
+describe('interception', () => {
+    it('should invoke the interceptor in place of the method, where [proceed] returns the return value of the method', () => {
+        /** @type {string[]} */
+        const calls = [];
+        class UserRepository {
+            find(id) {
+                return `user ${id}`;
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.singleton({ userRepository: UserRepository }))
+            .intercept("userRepository", ({ service, method, args, proceed }) => {
+                calls.push(`${service}.${method}(${args.join(",")})`);
+                return `intercepted ${proceed()}`;
+            });
+        const provider = container.prepare();
+
+        expect(provider.userRepository.find(1)).toBe("intercepted user 1");
+        expect(calls).toStrictEqual(["userRepository.find(1)"]);
+    });
+
+    it('should be able to modify the arguments before proceeding', () => {
+        class UserRepository {
+            find(id) {
+                return `user ${id}`;
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.singleton({ userRepository: UserRepository }))
+            .intercept("userRepository", ({ args, proceed }) => {
+                args[0] = 2;
+                return proceed();
+            });
+        const provider = container.prepare();
+
+        expect(provider.userRepository.find(1)).toBe("user 2");
+    });
+
+    it('should be able to reassign the arguments before proceeding', () => {
+        class Calculator {
+            double(value) {
+                return value * 2;
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.singleton({ calculator: Calculator }))
+            .intercept("calculator", (invocation) => {
+                invocation.args = [42];
+                return invocation.proceed();
+            })
+            .intercept("calculator", (invocation) => {
+                invocation.args = [invocation.args[0] + 1];
+                return invocation.proceed();
+            });
+        const provider = container.prepare();
+
+        expect(provider.calculator.double(1)).toBe(86);
+    });
+
+    it('should be able to await asynchronous methods', async () => {
+        /** @type {string[]} */
+        const calls = [];
+        class UserRepository {
+            async findAsync(id) {
+                return `user ${id}`;
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.scoped({ userRepository: UserRepository }))
+            .intercept("userRepository", async ({ method, proceed }) => {
+                calls.push(`before ${method}`);
+                const result = await proceed();
+                calls.push(`after ${method}`);
+                return result;
+            });
+        const provider = container.prepare();
+        const scope = provider.createScope();
+
+        expect(await scope.userRepository.findAsync(1)).toBe("user 1");
+        expect(calls).toStrictEqual(["before findAsync", "after findAsync"]);
+    });
+
+    it('should invoke interceptors in the order they were registered', () => {
+        /** @type {string[]} */
+        const calls = [];
+        class UserRepository {
+            find(id) {
+                return `user ${id}`;
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.singleton({ userRepository: UserRepository }))
+            .intercept("userRepository", ({ proceed }) => {
+                calls.push("first");
+                return `first(${proceed()})`;
+            })
+            .intercept("userRepository", ({ proceed }) => {
+                calls.push("second");
+                return `second(${proceed()})`;
+            });
+        const provider = container.prepare();
+
+        expect(provider.userRepository.find(1)).toBe("first(second(user 1))");
+        expect(calls).toStrictEqual(["first", "second"]);
+    });
+
+    it('should select services by array, pattern and predicate', () => {
+        /** @type {string[]} */
+        const calls = [];
+        class UserRepository {
+            find(id) {
+                return `user ${id}`;
+            }
+        }
+        class OrderRepository {
+            find(id) {
+                return `order ${id}`;
+            }
+        }
+        class Logger {
+            log(message) {
+                return message;
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.transient({
+                userRepository: UserRepository,
+                orderRepository: OrderRepository,
+                logger: Logger
+            }))
+            .intercept(["logger"], ({ service, proceed }) => {
+                calls.push(`array ${service}`);
+                return proceed();
+            })
+            .intercept(/Repository$/, ({ service, proceed }) => {
+                calls.push(`pattern ${service}`);
+                return proceed();
+            })
+            .intercept(name => name.startsWith("order"), ({ service, proceed }) => {
+                calls.push(`predicate ${service}`);
+                return proceed();
+            });
+        const provider = container.prepare();
+
+        provider.userRepository.find(1);
+        provider.orderRepository.find(1);
+        provider.logger.log("message");
+
+        expect(calls).toStrictEqual([
+            "pattern userRepository",
+            "pattern orderRepository",
+            "predicate orderRepository",
+            "array logger"
+        ]);
+    });
+
+    it('should not intercept services that are not selected', () => {
+        let isIntercepted = false;
+        class UserRepository {
+            find(id) {
+                return `user ${id}`;
+            }
+        }
+        class Logger {
+            log(message) {
+                return message;
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.singleton({ userRepository: UserRepository, logger: Logger }))
+            .intercept("userRepository", ({ proceed }) => {
+                isIntercepted = true;
+                return proceed();
+            });
+        const provider = container.prepare();
+
+        expect(provider.logger.log("message")).toBe("message");
+        expect(isIntercepted).toBe(false);
+    });
+});
\ No newline at end of file
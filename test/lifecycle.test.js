@@ -0,0 +1,235 @@
+//@ts-check
+
+import { describe, it, expect } from 'vitest'
+import { fluxject } from "../src/index.js";
+
+describe('lifecycle hooks', () => {
+    it('should invoke [onActivated] once with the new singleton instance and the services', () => {
+        /** @type {any[]} */
+        const calls = [];
+        class Logger {
+            /** @type {string[]} */
+            messages = [];
+
+            log(message) {
+                this.messages.push(message);
+            }
+        }
+        class Database {
+            connected = false;
+
+            connect() {
+                this.connected = true;
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.singleton({ logger: Logger }))
+            .register(m => m.singleton({ database: Database }, {
+                onActivated: {
+                    database: (database, { logger }) => {
+                        calls.push(database);
+                        database.connect();
+                        logger.log("connected");
+                    }
+                }
+            }));
+        const provider = container.prepare();
+
+        expect(calls).toHaveLength(0);
+        expect(provider.database.connected).toBe(true);
+        expect(provider.database.connected).toBe(true);
+        expect(calls).toHaveLength(1);
+        expect(provider.logger.messages).toStrictEqual(["connected"]);
+    });
+
+    it('should invoke [onDisposing] before the scoped instance is disposed of', () => {
+        /** @type {boolean[]} */
+        const disposedWhenInvoked = [];
+        class Database {
+            disposed = false;
+
+            doNothing() {
+
+            }
+
+            [Symbol.dispose]() {
+                this.disposed = true;
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.scoped({ database: Database }, {
+                onDisposing: {
+                    database: database => {
+                        disposedWhenInvoked.push(database.disposed);
+                    }
+                }
+            }));
+        const provider = container.prepare();
+        const scope = provider.createScope();
+        scope.database.doNothing();
+        scope.dispose();
+
+        expect(disposedWhenInvoked).toStrictEqual([false]);
+    });
+
+    it('should not invoke [onDisposing] for services that were never instantiated', () => {
+        let isInvoked = false;
+        class Database { }
+
+        const container = fluxject()
+            .register(m => m.singleton({ database: Database }, {
+                onDisposing: {
+                    database: () => {
+                        isInvoked = true;
+                    }
+                }
+            }));
+        const provider = container.prepare();
+        provider.dispose();
+
+        expect(isInvoked).toBe(false);
+    });
+
+    it('should await asynchronous hooks before the service resolves and before it is disposed of', async () => {
+        /** @type {string[]} */
+        const calls = [];
+        class Database {
+            connected = false;
+            disposed = false;
+
+            connect() {
+                this.connected = true;
+            }
+
+            [Symbol.dispose]() {
+                this.disposed = true;
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.singleton({ database: async () => new Database() }, {
+                onActivated: {
+                    database: async database => {
+                        await new Promise(resolve => setTimeout(resolve, 5));
+                        database.connect();
+                        calls.push("activated");
+                    }
+                },
+                onDisposing: {
+                    database: async database => {
+                        await new Promise(resolve => setTimeout(resolve, 5));
+                        calls.push(`disposing (disposed: ${database.disposed})`);
+                    }
+                }
+            }));
+        const provider = container.prepare();
+        await provider.initialize();
+
+        expect(provider.database.connected).toBe(true);
+        await provider.dispose();
+        expect(calls).toStrictEqual(["activated", "disposing (disposed: false)"]);
+    });
+
+    it('should await asynchronous [onActivated] hooks on class registrations with [initialize]', async () => {
+        class Database {
+            connected = false;
+
+            connect() {
+                this.connected = true;
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.singleton({ database: Database }, {
+                onActivated: {
+                    database: async database => {
+                        await new Promise(resolve => setTimeout(resolve, 5));
+                        database.connect();
+                    }
+                }
+            }));
+        const provider = container.prepare();
+        await provider.initialize();
+
+        expect(provider.database.connected).toBe(true);
+    });
+
+    it('should await asynchronous container-wide [onActivated] hooks on class registrations with [prepareAsync]', async () => {
+        class Database {
+            connected = false;
+
+            connect() {
+                this.connected = true;
+            }
+        }
+        class Logger {
+            /** @type {string[]} */
+            messages = [];
+
+            log(message) {
+                this.messages.push(message);
+            }
+        }
+
+        const container = fluxject({
+            onActivated: async (instance) => {
+                await new Promise(resolve => setTimeout(resolve, 5));
+                if(instance instanceof Database) {
+                    instance.connect();
+                }
+            }
+        })
+            .register(m => m.singleton({ database: Database, logger: Logger }));
+        const provider = await container.prepareAsync();
+
+        expect(provider.database.connected).toBe(true);
+        provider.logger.log("message");
+        expect(provider.logger.messages).toStrictEqual(["message"]);
+    });
+
+    it('should invoke container-wide hooks for every service after the registration hooks', async () => {
+        /** @type {string[]} */
+        const calls = [];
+        class Logger {
+            log() {
+
+            }
+        }
+        class Database {
+            doNothing() {
+
+            }
+        }
+
+        const container = fluxject({
+            onActivated: (instance, { service, lifetime }) => {
+                calls.push(`container activated ${service} (${lifetime})`);
+            },
+            onDisposing: (instance, { service, lifetime }) => {
+                calls.push(`container disposing ${service} (${lifetime})`);
+            }
+        })
+            .register(m => m.singleton({ logger: Logger }))
+            .register(m => m.scoped({ database: Database }, {
+                onActivated: { database: () => { calls.push("activated database"); } },
+                onDisposing: { database: () => { calls.push("disposing database"); } }
+            }));
+        const provider = container.prepare();
+        const scope = provider.createScope();
+        scope.database.doNothing();
+        scope.logger.log();
+        scope.dispose();
+        await provider.dispose();
+
+        expect(calls).toStrictEqual([
+            "activated database",
+            "container activated database (scoped)",
+            "container activated logger (singleton)",
+            "disposing database",
+            "container disposing database (scoped)",
+            "container disposing logger (singleton)"
+        ]);
+    });
+});
\ No newline at end of file
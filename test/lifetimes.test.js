@@ -0,0 +1,151 @@
+//@ts-check
+
+import { describe, it, expect } from 'vitest'
+import { fluxject, defineLifetime } from "../src/index.js";
+
+/**
+ * Lifetime where each instance is cached until `expires()` is invoked.
+ */
+function expiring() {
+    let expired = false;
+    const lifetime = defineLifetime({
+        name: "expiring",
+        resolve: ({ cache, create, dispose }) => {
+            if(expired && cache.has("instance")) {
+                dispose(cache.get("instance"));
+                cache.delete("instance");
+            }
+            expired = false;
+            if(!cache.has("instance")) {
+                cache.set("instance", create());
+            }
+            return cache.get("instance");
+        },
+        dispose: ({ cache, dispose }) => {
+            for(const instance of cache.values()) {
+                dispose(instance);
+            }
+            cache.clear();
+        }
+    });
+    return { lifetime, expire: () => expired = true };
+}
+
+describe('custom lifetimes', () => {
+    it('should let the lifetime decide when a new instance is created', () => {
+        let count = 0;
+        class Counter {
+            id = ++count;
+        }
+
+        const { lifetime, expire } = expiring();
+        const container = fluxject()
+            .register(m => m.lifetime(lifetime, { counter: Counter }));
+        const provider = container.prepare();
+
+        const first = provider.counter.id;
+        expect(provider.counter.id).toBe(first);
+        expire();
+        expect(provider.counter.id).not.toBe(first);
+    });
+
+    it('should dispose of instances replaced by the lifetime through the context', () => {
+        /** @type {number[]} */
+        const disposed = [];
+        let count = 0;
+        class Counter {
+            id = ++count;
+
+            [Symbol.dispose]() {
+                disposed.push(this.id);
+            }
+        }
+
+        const { lifetime, expire } = expiring();
+        const container = fluxject()
+            .register(m => m.lifetime(lifetime, { counter: Counter }));
+        const provider = container.prepare();
+
+        const first = provider.counter.id;
+        expire();
+        provider.counter.id;
+        expect(disposed).toStrictEqual([first]);
+    });
+
+    it('should dispose of the cached instances of the lifetime when the provider is disposed of', () => {
+        /** @type {number[]} */
+        const disposed = [];
+        let count = 0;
+        class Counter {
+            id = ++count;
+
+            [Symbol.dispose]() {
+                disposed.push(this.id);
+            }
+        }
+
+        const { lifetime } = expiring();
+        const container = fluxject()
+            .register(m => m.lifetime(lifetime, { counter: Counter }));
+        const provider = container.prepare();
+
+        const id = provider.counter.id;
+        provider.dispose();
+        expect(disposed).toStrictEqual([id]);
+    });
+
+    it('should share a single cache of non-scoped lifetimes between the Host Service Provider and every scope', () => {
+        let count = 0;
+        class Counter {
+            id = ++count;
+        }
+
+        const { lifetime } = expiring();
+        const container = fluxject()
+            .register(m => m.lifetime(lifetime, { counter: Counter }));
+        const provider = container.prepare();
+
+        expect(provider.createScope().counter.id).toBe(provider.counter.id);
+    });
+
+    it('should only make scoped lifetimes available from scopes, with a separate cache for every scope', () => {
+        let count = 0;
+        class Tenant {
+            id = "a";
+        }
+        class TenantSettings {
+            id = ++count;
+            tenantId;
+
+            constructor(services) {
+                this.tenantId = services.tenant.id;
+            }
+        }
+        const perTenant = defineLifetime({
+            name: "perTenant",
+            scoped: true,
+            resolve: ({ services, cache, create }) => {
+                const tenantId = services.tenant.id;
+                if(!cache.has(tenantId)) {
+                    cache.set(tenantId, create());
+                }
+                return cache.get(tenantId);
+            }
+        });
+
+        const container = fluxject()
+            .register(m => m.scoped({ tenant: Tenant }))
+            .register(m => m.lifetime(perTenant, { settings: TenantSettings }));
+        const provider = container.prepare();
+
+        const scope = provider.createScope();
+        const first = scope.settings.id;
+        expect(scope.settings.id).toBe(first);
+        scope.tenant.id = "b";
+        expect(scope.settings.tenantId).toBe("b");
+        expect(scope.settings.id).not.toBe(first);
+        expect(provider.createScope().settings.id).not.toBe(first);
+        // @ts-expect-error - Scoped lifetimes are not available on the Host Service Provider.
+        expect(provider.settings).toBeUndefined();
+    });
+});
@@ -0,0 +1,307 @@
+//@ts-check
+
+import { describe, it, expect } from 'vitest'
+import { fluxject, FluxjectError } from "../src/index.js";
+
+describe('modules', () => {
+    it('should include all registrations from another container', () => {
+        class Database {
+            query() {
+                return "database";
+            }
+        }
+        class UserStore {
+            #database;
+            constructor({ database }) {
+                this.#database = database;
+            }
+
+            find() {
+                return `users from ${this.#database.query()}`;
+            }
+        }
+        class TokenService {
+            #users;
+            constructor({ users }) {
+                this.#users = users;
+            }
+
+            issue() {
+                return `token for ${this.#users.find()}`;
+            }
+        }
+
+        const auth = fluxject()
+            .register(m => m.singleton({ users: UserStore, tokens: TokenService }));
+
+        const container = fluxject()
+            .register(m => m.singleton({ database: Database }))
+            .include(auth);
+        const provider = container.prepare();
+
+        expect(provider.tokens.issue()).toBe("token for users from database");
+    });
+
+    it('should prefix included registrations while they are still injected with their un-prefixed names', () => {
+        class Database {
+            query() {
+                return "database";
+            }
+        }
+        class UserStore {
+            #database;
+            constructor({ database }) {
+                this.#database = database;
+            }
+
+            find() {
+                return `users from ${this.#database.query()}`;
+            }
+        }
+        class TokenService {
+            #users;
+            constructor({ users }) {
+                this.#users = users;
+            }
+
+            issue() {
+                return `token for ${this.#users.find()}`;
+            }
+        }
+
+        const auth = fluxject()
+            .register(m => m.singleton({ users: UserStore }))
+            .register(m => m.scoped({ tokens: TokenService }));
+
+        const container = fluxject()
+            .register(m => m.singleton({ database: Database }))
+            .include(auth, { prefix: "auth" });
+        const provider = container.prepare();
+        const scope = provider.createScope();
+
+        expect(provider.authUsers).toBeInstanceOf(UserStore);
+        //@ts-expect-error
+        expect(provider.users).toBeUndefined();
+        expect(scope.authTokens.issue()).toBe("token for users from database");
+    });
+
+    it('should resolve nested namespaces', () => {
+        class Database {
+            query() {
+                return "database";
+            }
+        }
+        class UserStore {
+            #database;
+            constructor({ database }) {
+                this.#database = database;
+            }
+
+            find() {
+                return `users from ${this.#database.query()}`;
+            }
+        }
+        class TokenService {
+            #users;
+            constructor({ users }) {
+                this.#users = users;
+            }
+
+            issue() {
+                return `token for ${this.#users.find()}`;
+            }
+        }
+
+        const users = fluxject()
+            .register(m => m.singleton({ users: UserStore, tokens: TokenService }));
+        const auth = fluxject()
+            .include(users, { prefix: "store" });
+
+        const container = fluxject()
+            .register(m => m.singleton({ database: Database }))
+            .include(auth, { prefix: "auth" });
+        const provider = container.prepare();
+
+        expect(provider.authStoreTokens.issue()).toBe("token for users from database");
+    });
+
+    it('should prefix declared dependencies of included registrations', () => {
+        class Database {
+            query() {
+                return "database";
+            }
+        }
+        class UserStore {
+            #database;
+            constructor({ database }) {
+                this.#database = database;
+            }
+
+            find() {
+                return `users from ${this.#database.query()}`;
+            }
+        }
+        class TokenService {
+            #users;
+            constructor({ users }) {
+                this.#users = users;
+            }
+
+            issue() {
+                return `token for ${this.#users.find()}`;
+            }
+        }
+
+        const auth = fluxject()
+            .register(m => m.singleton({ users: UserStore, tokens: TokenService }, { dependencies: { users: ["database"], tokens: ["users"] } }));
+
+        const container = fluxject()
+            .register(m => m.singleton({ database: Database }))
+            .include(auth, { prefix: "auth" });
+
+        expect(container.validate()).toEqual([]);
+    });
+
+    it('should report conflicting registrations when including another container', () => {
+        class Database {
+            query() {
+                return "database";
+            }
+        }
+        class OtherDatabase extends Database { }
+        const other = fluxject()
+            .register(m => m.singleton({ database: OtherDatabase }));
+        const container = fluxject()
+            .register(m => m.singleton({ database: Database }));
+
+        expect(() => container.include(other)).toThrow(FluxjectError);
+        expect(container.include(other, { conflicts: "override" }).prepare().database).toBeInstanceOf(OtherDatabase);
+        expect(container.include(other, { conflicts: "keep" }).prepare().database).not.toBeInstanceOf(OtherDatabase);
+    });
+
+    it('should infer the type of overridden registrations from the included container', () => {
+        class Database {
+            query() {
+                return "database";
+            }
+        }
+        class Cache {
+            hits = 0;
+        }
+        const other = fluxject()
+            .register(m => m.singleton({ database: Cache }));
+        const container = fluxject()
+            .register(m => m.singleton({ database: Database }))
+            .include(other, { conflicts: "override" });
+        const provider = container.prepare();
+
+        expect(provider.database.hits).toBe(0);
+        // @ts-expect-error - "database" is overridden by the included `Cache`.
+        expect(provider.database.query).toBeUndefined();
+    });
+
+    it('should carry the interceptors, container-wide hooks and transient mode of the included container over to the services it included', async () => {
+        /** @type {string[]} */
+        const calls = [];
+        let count = 0;
+        class Clock {
+            id = ++count;
+        }
+        class UserStore {
+            #services;
+            constructor(services) {
+                this.#services = services;
+            }
+
+            find() {
+                return "alice";
+            }
+
+            get clockId() {
+                return this.#services.clock.id;
+            }
+        }
+        class Database {
+            query() {
+                return "result";
+            }
+        }
+
+        const auth = fluxject({
+            transientMode: "per-injection",
+            onActivated: (instance, { service }) => {
+                calls.push(`activated ${service}`);
+            },
+            onDisposing: (instance, { service }) => {
+                calls.push(`disposing ${service}`);
+            }
+        })
+            .register(m => m.transient({ clock: Clock }))
+            .register(m => m.singleton({ users: UserStore }))
+            // Even an interceptor that selects every service only intercepts the services of this container.
+            .intercept(() => true, ({ service, method, proceed }) => {
+                calls.push(`intercepted ${service}.${method}`);
+                return proceed();
+            });
+
+        const container = fluxject()
+            .register(m => m.singleton({ database: Database }))
+            .include(auth, { prefix: "auth" });
+        const provider = container.prepare();
+
+        expect(provider.authUsers.find()).toBe("alice");
+        expect(provider.database.query()).toBe("result");
+        expect(provider.authUsers.clockId).toBe(provider.authUsers.clockId);
+        await provider.dispose();
+
+        expect(calls).toStrictEqual([
+            "activated authUsers",
+            "intercepted authUsers.find",
+            "activated authClock",
+            "disposing authUsers",
+            "disposing authClock"
+        ]);
+    });
+
+    it('should apply modules with [use]', () => {
+        class Database {
+            query() {
+                return "database";
+            }
+        }
+        class UserStore {
+            #database;
+            constructor({ database }) {
+                this.#database = database;
+            }
+
+            find() {
+                return `users from ${this.#database.query()}`;
+            }
+        }
+        class TokenService {
+            #users;
+            constructor({ users }) {
+                this.#users = users;
+            }
+
+            issue() {
+                return `token for ${this.#users.find()}`;
+            }
+        }
+
+        /**
+         * @template {import("../src/index.js").Container<{ database: import("../src/types.js").Registration<typeof Database, "singleton"> }>} TContainer
+         * @param {TContainer} container 
+         */
+        const authModule = (container) => container
+            .register(m => m.singleton({ users: UserStore, tokens: TokenService }));
+
+        const container = fluxject()
+            .register(m => m.singleton({ database: Database }))
+            .use(authModule);
+        const provider = container.prepare();
+
+        expect(provider.tokens.issue()).toBe("token for users from database");
+    });
+});
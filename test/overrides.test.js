@@ -0,0 +1,128 @@
+//@ts-check
+
+import { describe, it, expect } from 'vitest'
+import { fluxject, FluxjectError } from "../src/index.js";
+
+describe('overrides', () => {
+    it('should replace a registration with [override] while dependents inject the replacement', () => {
+        class Database {
+            query() {
+                return "database";
+            }
+        }
+        class Repository {
+            #database;
+            constructor({ database }) {
+                this.#database = database;
+            }
+
+            find() {
+                return this.#database.query();
+            }
+        }
+        class Logger {
+            name = "logger";
+        }
+        class InMemoryDatabase extends Database {
+            query() {
+                return "in-memory";
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.singleton({ database: Database, logger: Logger }))
+            .register(m => m.scoped({ repository: Repository }));
+
+        const provider = container
+            .override(m => m.singleton({ database: InMemoryDatabase }))
+            .prepare();
+        const scope = provider.createScope();
+        expect(provider.database).toBeInstanceOf(InMemoryDatabase);
+        expect(provider.logger.name).toBe("logger");
+        expect(scope.repository.find()).toBe("in-memory");
+
+        // The original container is left untouched.
+        expect(container.prepare().database).not.toBeInstanceOf(InMemoryDatabase);
+    });
+
+    it('should not allow [override] to replace a service with an incompatible type', () => {
+        class Database {
+            query() {
+                return "database";
+            }
+        }
+        class NotADatabase { 
+            x = 1;
+        }
+
+        const container = fluxject()
+            .register(m => m.singleton({ database: Database }));
+
+        //@ts-expect-error
+        container.override(m => m.singleton({ database: NotADatabase }));
+    });
+
+    it('should throw FluxjectError when overriding a service that is not registered', () => {
+        class Database {
+            query() {
+                return "database";
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.singleton({ database: Database }));
+
+        //@ts-expect-error
+        expect(() => container.override(m => m.singleton({ databse: Database }))).toThrow(FluxjectError);
+    });
+
+    it('should replace services with instances with [withOverrides] while dependents inject the replacement', () => {
+        class Database {
+            query() {
+                return "database";
+            }
+        }
+        class Repository {
+            #database;
+            constructor({ database }) {
+                this.#database = database;
+            }
+
+            find() {
+                return this.#database.query();
+            }
+        }
+        class Logger {
+            name = "logger";
+        }
+
+        const mockDatabase = { query: () => "mock" };
+
+        const container = fluxject()
+            .register(m => m.singleton({ database: Database, logger: Logger }))
+            .register(m => m.scoped({ repository: Repository }));
+        const provider = container.prepare();
+        const testProvider = provider.withOverrides({ database: mockDatabase });
+        const scope = testProvider.createScope();
+        expect(testProvider.database.query()).toBe("mock");
+        expect(testProvider.logger.name).toBe("logger");
+        expect(scope.repository.find()).toBe("mock");
+        expect(provider.database.query()).toBe("database");
+        expect(testProvider.logger).not.toBe(provider.logger);
+    });
+
+    it('should throw FluxjectError when [withOverrides] is given a service that is not registered', () => {
+        class Database {
+            query() {
+                return "database";
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.singleton({ database: Database }));
+        const provider = container.prepare();
+
+        //@ts-expect-error
+        expect(() => provider.withOverrides({ databse: new Database() })).toThrow(FluxjectError);
+    });
+});
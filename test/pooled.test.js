@@ -0,0 +1,215 @@
+//@ts-check
+
+import { describe, it, expect } from 'vitest'
+import { fluxject, acquire, DisposalError, FluxjectError, PoolExhaustedError } from "../src/index.js";
+
+/**
+ * @param {number} ms
+ */
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('pooled', () => {
+    it('should lease an instance to each scope, which is returned to the pool once the scope is disposed of', () => {
+        let count = 0;
+        class Connection {
+            id = ++count;
+        }
+        class Repository {
+            #services;
+            constructor(services) {
+                this.#services = services;
+            }
+
+            get connectionId() {
+                return this.#services.connection.id;
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.pooled({ connection: Connection }))
+            .register(m => m.scoped({ repository: Repository }));
+        const provider = container.prepare();
+        const first = provider.createScope();
+        const second = provider.createScope();
+        const firstId = first.connection.id;
+
+        expect(first.connection.id).toBe(firstId);
+        expect(first.repository.connectionId).toBe(firstId);
+        expect(second.connection.id).not.toBe(firstId);
+
+        first.dispose();
+        expect(provider.createScope().connection.id).toBe(firstId);
+    });
+
+    it('should create instances up front for "min" and throw a PoolExhaustedError when leasing beyond "max"', () => {
+        let count = 0;
+        class Connection {
+            id = ++count;
+        }
+
+        const container = fluxject()
+            .register(m => m.pooled({ connection: Connection }, { min: 2, max: 2 }));
+        const provider = container.prepare();
+        provider.createScope().connection.id;
+        expect(count).toBe(2);
+
+        provider.createScope().connection.id;
+        expect(() => provider.createScope().connection.id).toThrow(PoolExhaustedError);
+    });
+
+    it('should be able to lease instances explicitly with acquire', () => {
+        let count = 0;
+        class Connection {
+            id = ++count;
+        }
+
+        const container = fluxject()
+            .register(m => m.pooled({ connection: Connection }, { max: 1 }));
+        const provider = container.prepare();
+        const lease = acquire(provider.connection);
+        const id = lease.instance.id;
+        expect(() => acquire(provider.connection)).toThrow(PoolExhaustedError);
+
+        lease.release();
+        const second = acquire(provider.connection);
+        expect(second.instance.id).toBe(id);
+        second[Symbol.dispose]();
+        expect(acquire(provider.connection).instance.id).toBe(id);
+    });
+
+    it('should not be able to resolve pooled services outside of a scope', () => {
+        let count = 0;
+        class Connection {
+            id = ++count;
+        }
+
+        const container = fluxject()
+            .register(m => m.pooled({ connection: Connection }));
+        const provider = container.prepare();
+
+        expect(() => provider.connection.id).toThrow(FluxjectError);
+    });
+
+    it('should dispose of idle instances beyond "min" after "idleTimeout"', async () => {
+        /** @type {number[]} */
+        const disposed = [];
+        let count = 0;
+        class Connection {
+            id = ++count;
+
+            [Symbol.dispose]() {
+                disposed.push(this.id);
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.pooled({ connection: Connection }, { min: 1, idleTimeout: 5 }));
+        const provider = container.prepare();
+        const first = provider.createScope();
+        const second = provider.createScope();
+        const firstId = first.connection.id;
+        second.connection.id;
+        first.dispose();
+        second.dispose();
+        await delay(20);
+
+        expect(disposed).toStrictEqual([firstId]);
+    });
+
+    it('should drain the pool, disposing of every instance, when the Host Service Provider is disposed of', () => {
+        /** @type {number[]} */
+        const disposed = [];
+        let count = 0;
+        class Connection {
+            id = ++count;
+
+            [Symbol.dispose]() {
+                disposed.push(this.id);
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.pooled({ connection: Connection }));
+        const provider = container.prepare();
+        const scope = provider.createScope();
+        const scopedId = scope.connection.id;
+        const lease = acquire(provider.connection);
+        provider.dispose();
+
+        expect(disposed.sort()).toStrictEqual([scopedId, lease.instance.id].sort());
+        expect(() => acquire(provider.connection)).toThrow(FluxjectError);
+    });
+
+    it('should report every failure from draining the pool', () => {
+        class FailingConnection {
+            [Symbol.dispose]() {
+                throw new Error("close failed");
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.pooled({ connection: FailingConnection }, { min: 2 }));
+        const provider = container.prepare();
+        acquire(provider.connection);
+
+        let error;
+        try {
+            provider.dispose();
+        }
+        catch(err) {
+            error = err;
+        }
+        expect(error).toBeInstanceOf(DisposalError);
+        const failure = /** @type {DisposalError} */ (error).failures[0].error;
+        expect(failure).toBeInstanceOf(AggregateError);
+        expect(/** @type {AggregateError} */ (failure).errors).toHaveLength(2);
+    });
+
+    it('should pass failures from disposing of idle instances to [onError]', async () => {
+        /** @type {unknown[]} */
+        const errors = [];
+        class FailingConnection {
+            async [Symbol.asyncDispose]() {
+                throw new Error("close failed");
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.pooled({ connection: FailingConnection }, { idleTimeout: 5, onError: error => errors.push(error) }));
+        const provider = container.prepare();
+        acquire(provider.connection).release();
+        await delay(20);
+
+        expect(errors).toHaveLength(1);
+        expect(/** @type {Error} */ (errors[0]).message).toBe("close failed");
+        expect(() => provider.dispose()).not.toThrow();
+    });
+
+    it('should report failures from disposing of idle instances once the pool is drained, if there is no [onError]', async () => {
+        class FailingConnection {
+            async [Symbol.asyncDispose]() {
+                throw new Error("close failed");
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.pooled({ connection: FailingConnection }, { idleTimeout: 5 }));
+        const provider = container.prepare();
+        acquire(provider.connection).release();
+        await delay(20);
+
+        let error;
+        try {
+            await provider.dispose();
+        }
+        catch(err) {
+            error = err;
+        }
+        expect(error).toBeInstanceOf(DisposalError);
+        const failure = /** @type {DisposalError} */ (error).failures[0].error;
+        expect(failure).toBeInstanceOf(AggregateError);
+        expect(/** @type {AggregateError} */ (failure).errors.map(err => err.message)).toStrictEqual(["close failed"]);
+    });
+});
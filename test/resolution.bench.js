@@ -0,0 +1,84 @@
+//@ts-check
+
+import { bench, describe } from 'vitest'
+import { fluxject } from "../src/index.js";
+
+class Database {
+    /**
+     * @param {number} id
+     */
+    find(id) {
+        return id;
+    }
+}
+
+class Repository {
+    #services;
+    constructor(services) {
+        this.#services = services;
+    }
+
+    /**
+     * @param {number} id
+     */
+    find(id) {
+        return this.#services.database.find(id);
+    }
+}
+
+function createContainer() {
+    return fluxject()
+        .register(m => m.singleton({ database: Database }))
+        .register(m => m.scoped({ repository: Repository }));
+}
+
+const proxied = createContainer().prepare();
+const direct = createContainer().prepare({ proxies: false });
+const proxiedScope = proxied.createScope();
+const directScope = direct.createScope();
+
+const options = { time: 200 };
+
+describe('Resolving a Singleton service', () => {
+    bench('proxies', () => {
+        proxied.database;
+    }, options);
+
+    bench('direct', () => {
+        direct.database;
+    }, options);
+});
+
+describe('Invoking a method on a Singleton service', () => {
+    bench('proxies', () => {
+        proxied.database.find(1);
+    }, options);
+
+    bench('direct', () => {
+        direct.database.find(1);
+    }, options);
+});
+
+describe('Invoking a method on a Scoped service that invokes a Singleton service', () => {
+    bench('proxies', () => {
+        proxiedScope.repository.find(1);
+    }, options);
+
+    bench('direct', () => {
+        directScope.repository.find(1);
+    }, options);
+});
+
+describe('Creating a scope and using a Scoped service', () => {
+    bench('proxies', () => {
+        const scope = proxied.createScope();
+        scope.repository.find(1);
+        scope.dispose();
+    }, options);
+
+    bench('direct', () => {
+        const scope = direct.createScope();
+        scope.repository.find(1);
+        scope.dispose();
+    }, options);
+});
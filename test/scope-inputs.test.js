@@ -0,0 +1,186 @@
+//@ts-check
+
+import { describe, it, expect } from 'vitest'
+import { fluxject, FluxjectError, MissingScopeInputError } from "../src/index.js";
+
+describe('scope inputs', () => {
+    it('should inject the values supplied to createScope into the scoped services of that scope', () => {
+        class Request {
+            constructor(url = "/") {
+                this.url = url;
+            }
+        }
+        class User {
+            constructor(name = "alice") {
+                this.name = name;
+            }
+        }
+        class RequestLogger {
+            #services;
+            constructor(services) {
+                this.#services = services;
+            }
+
+            describe() {
+                return `${this.#services.user.name} requested ${this.#services.request.url}`;
+            }
+        }
+
+        const container = fluxject()
+            .register(m => /** @type {ReturnType<typeof m.scopeInput<{ request: Request, user: User }>>} */ (m.scopeInput(["request", "user"])))
+            .register(m => m.scoped({ requestLogger: RequestLogger }));
+        const provider = container.prepare();
+        const first = provider.createScope({ request: new Request("/orders"), user: new User("alice") });
+        const second = provider.createScope({ request: new Request("/users"), user: new User("bob") });
+
+        expect(first.requestLogger.describe()).toBe("alice requested /orders");
+        expect(second.requestLogger.describe()).toBe("bob requested /users");
+        expect(first.request.url).toBe("/orders");
+    });
+
+    it('should throw a MissingScopeInputError when resolving a scope input that was not supplied', () => {
+        class Request {
+            url = "/";
+        }
+        class User {
+            name = "alice";
+        }
+        class RequestLogger {
+            #services;
+            constructor(services) {
+                this.#services = services;
+            }
+
+            describe() {
+                return `${this.#services.user.name} requested ${this.#services.request.url}`;
+            }
+        }
+
+        const container = fluxject()
+            .register(m => /** @type {ReturnType<typeof m.scopeInput<{ request: Request, user: User }>>} */ (m.scopeInput(["request", "user"])))
+            .register(m => m.scoped({ requestLogger: RequestLogger }));
+        const provider = container.prepare();
+        const scope = provider.createScope({ request: new Request() });
+
+        expect(() => scope.requestLogger.describe()).toThrow(MissingScopeInputError);
+        expect(() => scope.requestLogger.describe()).toThrow(`Scope input "user" was not supplied to the scope, but the service "requestLogger" depends on it.`);
+        expect(() => scope.user).toThrow(`Scope input "user" was not supplied to the scope.`);
+    });
+
+    it('should name the service that depends on a missing scope input while it is being instantiated', () => {
+        class User {
+            name = "alice";
+        }
+        class Greeting {
+            constructor({ user }) {
+                this.text = `Hello, ${user.name}`;
+            }
+        }
+
+        const container = fluxject()
+            .register(m => /** @type {ReturnType<typeof m.scopeInput<{ user: User }>>} */ (m.scopeInput(["user"])))
+            .register(m => m.scoped({ greeting: Greeting }));
+        const provider = container.prepare();
+        const scope = provider.createScope();
+
+        expect(() => scope.greeting.text).toThrow(`but the service "greeting" depends on it`);
+    });
+
+    it('should throw a FluxjectError when supplying a value that is not declared as a scope input', () => {
+        class User {
+            name = "alice";
+        }
+        class RequestLogger { }
+
+        const container = fluxject()
+            .register(m => /** @type {ReturnType<typeof m.scopeInput<{ user: User }>>} */ (m.scopeInput(["user"])))
+            .register(m => m.scoped({ requestLogger: RequestLogger }));
+        const provider = container.prepare();
+
+        // @ts-expect-error - "requestLogger" is not a scope input.
+        expect(() => provider.createScope({ requestLogger: {} })).toThrow(FluxjectError);
+    });
+
+    it('should inherit the scope inputs of the parent scope in child scopes, in addition to their own', () => {
+        class Request {
+            constructor(url = "/") {
+                this.url = url;
+            }
+        }
+        class User {
+            constructor(name = "alice") {
+                this.name = name;
+            }
+        }
+
+        const container = fluxject()
+            .register(m => /** @type {ReturnType<typeof m.scopeInput<{ request: Request, user: User }>>} */ (m.scopeInput(["request", "user"])));
+        const provider = container.prepare();
+        const scope = provider.createScope({ request: new Request("/orders") });
+        const child = scope.createScope({ user: new User("bob") });
+
+        expect(child.request.url).toBe("/orders");
+        expect(child.user.name).toBe("bob");
+        expect(() => scope.user).toThrow(MissingScopeInputError);
+    });
+
+    it('should never dispose of scope inputs when the scope is disposed of', () => {
+        class User {
+            name = "alice";
+            disposed = false;
+
+            [Symbol.dispose]() {
+                this.disposed = true;
+            }
+        }
+        class Greeting {
+            #services;
+            constructor(services) {
+                this.#services = services;
+            }
+
+            greet() {
+                return `Hello, ${this.#services.user.name}`;
+            }
+        }
+
+        const container = fluxject()
+            .register(m => /** @type {ReturnType<typeof m.scopeInput<{ user: User }>>} */ (m.scopeInput(["user"])))
+            .register(m => m.scoped({ greeting: Greeting }));
+        const provider = container.prepare();
+        const user = new User();
+        const scope = provider.createScope({ user });
+        scope.greeting.greet();
+        scope.dispose();
+
+        expect(user.disposed).toBe(false);
+    });
+
+    it('should be able to supply scope inputs to createScopeAsync and runInScope', async () => {
+        class Request {
+            constructor(url = "/") {
+                this.url = url;
+            }
+        }
+        class RequestLogger {
+            #services;
+            constructor(services) {
+                this.#services = services;
+            }
+
+            describe() {
+                return `requested ${this.#services.request.url}`;
+            }
+        }
+
+        const container = fluxject()
+            .register(m => /** @type {ReturnType<typeof m.scopeInput<{ request: Request }>>} */ (m.scopeInput(["request"])))
+            .register(m => m.scoped({ requestLogger: RequestLogger }));
+        const provider = container.prepare();
+        const scope = await provider.createScopeAsync({ inputs: { request: new Request("/async") } });
+        const described = await provider.runInScope(scope => scope.requestLogger.describe(), { request: new Request("/ambient") });
+
+        expect(scope.requestLogger.describe()).toBe("requested /async");
+        expect(described).toBe("requested /ambient");
+    });
+});
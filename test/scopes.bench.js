@@ -0,0 +1,45 @@
+//@ts-check
+
+import { bench, describe } from 'vitest'
+import { fluxject } from "../src/index.js";
+
+class Service {
+    use() {
+        return undefined;
+    }
+}
+
+/**
+ * Prepare a provider with `count` Scoped services.
+ * @param {number} count
+ */
+function createProvider(count) {
+    /** @type {Record<string, typeof Service>} */
+    const services = {};
+    for(let i = 0; i < count; ++i) {
+        services[`service${i}`] = Service;
+    }
+    return /** @type {any} */ (fluxject().register(m => m.scoped(services)).prepare());
+}
+
+const options = { time: 200 };
+
+describe('Creating and disposing of a scope', () => {
+    for(const count of [10, 100, 1000]) {
+        const provider = createProvider(count);
+        bench(`${count} Scoped registrations`, () => {
+            provider.createScope().dispose();
+        }, options);
+    }
+});
+
+describe('Creating a scope, using one Scoped service and disposing of the scope', () => {
+    for(const count of [10, 100, 1000]) {
+        const provider = createProvider(count);
+        bench(`${count} Scoped registrations`, () => {
+            const scope = provider.createScope();
+            scope.service0.use();
+            scope.dispose();
+        }, options);
+    }
+});
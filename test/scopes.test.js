@@ -223,4 +223,63 @@ describe('scopes', () => {
         expect(scope.test4).toBe(undefined);
         expect(scope.test5).toBe(undefined);
     });
+
+    it('should share the getters of every service between scopes, so scopes have no own properties', () => {
+        class Test { }
+
+        const container = fluxject()
+            .register(m => m.scoped({ test: Test }));
+
+        const provider = container.prepare();
+        const scope1 = provider.createScope();
+        const scope2 = provider.createScope();
+        expect(Object.getOwnPropertyNames(scope1)).toStrictEqual([]);
+        expect(Object.getPrototypeOf(scope1)).toBe(Object.getPrototypeOf(scope2));
+        expect(scope1.test).toBeInstanceOf(Test);
+        expect(scope1.test).not.toBe(scope2.test);
+    });
+
+    it('should only dispose of scoped services once when [dispose] is called more than once', () => {
+        let disposeCount = 0;
+        class Test {
+            [Symbol.dispose]() {
+                ++disposeCount;
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.scoped({ test: Test }));
+
+        const provider = container.prepare();
+        const scope = provider.createScope();
+        expect(scope.test).toBeInstanceOf(Test);
+        scope.dispose();
+        scope.dispose();
+        provider.dispose();
+        expect(disposeCount).toBe(1);
+    });
+
+    it('should no longer dispose of a disposed scope when [dispose] on host service provider is called', () => {
+        /** @type {number[]} */
+        const disposed = [];
+        let count = 0;
+        class Test {
+            id = ++count;
+            [Symbol.dispose]() {
+                disposed.push(this.id);
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.scoped({ test: Test }));
+
+        const provider = container.prepare();
+        const scope1 = provider.createScope();
+        const scope2 = provider.createScope();
+        const id1 = scope1.test.id;
+        const id2 = scope2.test.id;
+        scope1.dispose();
+        provider.dispose();
+        expect(disposed).toStrictEqual([id1, id2]);
+    });
 });
\ No newline at end of file
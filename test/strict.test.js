@@ -0,0 +1,75 @@
+//@ts-check
+
+import { describe, it, expect } from 'vitest'
+import { fluxject, DuplicateRegistrationError, FluxjectError } from "../src/index.js";
+
+describe('strict', () => {
+    it('should silently replace duplicate registrations when not in strict mode', () => {
+        class Logger {
+            name = "logger";
+        }
+        class ConsoleLogger {
+            name = "console";
+        }
+
+        const container = fluxject()
+            .register(m => m.singleton({ logger: Logger }))
+            .register(m => m.singleton({ logger: ConsoleLogger }));
+        const provider = container.prepare();
+
+        expect(provider.logger.name).toBe("console");
+    });
+
+    it('should throw DuplicateRegistrationError identifying both registration sites when in strict mode', () => {
+        class Logger {
+            name = "logger";
+        }
+        class ConsoleLogger {
+            name = "console";
+        }
+
+        const container = fluxject({ strict: true })
+            .register(m => m.singleton({ logger: Logger }));
+
+        /** @type {any} */
+        let error;
+        try {
+            container.register(m => m.singleton({ logger: ConsoleLogger }));
+        }
+        catch(err) {
+            error = err;
+        }
+        expect(error).toBeInstanceOf(DuplicateRegistrationError);
+        expect(error.serviceName).toBe("logger");
+        expect(error.existingSite).toContain("strict.test.js");
+        expect(error.site).toContain("strict.test.js");
+        expect(error.existingSite).not.toBe(error.site);
+    });
+
+    it('should allow registrations made with [replace] when in strict mode', () => {
+        class Logger {
+            name = "logger";
+        }
+        class ConsoleLogger {
+            name = "console";
+        }
+
+        const container = fluxject({ strict: true })
+            .register(m => m.singleton({ logger: Logger }))
+            .register(m => m.replace(m.scoped({ logger: ConsoleLogger })));
+        const provider = container.prepare();
+        const scope = provider.createScope();
+
+        expect(scope.logger.name).toBe("console");
+    });
+
+    it('should throw FluxjectError when replacing a service that is not registered', () => {
+        class Logger {
+            name = "logger";
+        }
+
+        const container = fluxject({ strict: true });
+
+        expect(() => container.register(m => m.replace(m.singleton({ logger: Logger })))).toThrow(FluxjectError);
+    });
+});
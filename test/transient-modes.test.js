@@ -0,0 +1,279 @@
+//@ts-check
+
+import { describe, it, expect } from 'vitest'
+import { fluxject, CaptiveDependencyError } from "../src/index.js";
+
+describe('transient modes', () => {
+    it('should use a new instance of per-access transient services on every access (by default)', () => {
+        let count = 0;
+        class Buffer {
+            id = ++count;
+            /** @type {string[]} */
+            lines = [];
+
+            /**
+             * @param {string} line
+             */
+            write(line) {
+                this.lines.push(line);
+            }
+        }
+        class Writer {
+            #services;
+            constructor(services) {
+                this.#services = services;
+            }
+
+            get bufferId() {
+                return this.#services.buffer.id;
+            }
+
+            /**
+             * @param {string} line
+             */
+            write(line) {
+                this.#services.buffer.write(line);
+                return this.#services.buffer.lines;
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.transient({ buffer: Buffer }))
+            .register(m => m.singleton({ writer: Writer }));
+        const provider = container.prepare();
+
+        expect(provider.writer.write("first")).toStrictEqual([]);
+        expect(provider.writer.bufferId).not.toBe(provider.writer.bufferId);
+    });
+
+    it('should give each dependent its own instance of per-injection transient services for its whole life', () => {
+        let count = 0;
+        class Buffer {
+            id = ++count;
+            /** @type {string[]} */
+            lines = [];
+
+            /**
+             * @param {string} line
+             */
+            write(line) {
+                this.lines.push(line);
+            }
+        }
+        class Writer {
+            #services;
+            constructor(services) {
+                this.#services = services;
+            }
+
+            get bufferId() {
+                return this.#services.buffer.id;
+            }
+
+            /**
+             * @param {string} line
+             */
+            write(line) {
+                this.#services.buffer.write(line);
+                return this.#services.buffer.lines;
+            }
+        }
+
+        const container = fluxject({ transientMode: "per-injection" })
+            .register(m => m.transient({ buffer: Buffer }))
+            .register(m => m.scoped({ writer: Writer }));
+        const provider = container.prepare();
+        const first = provider.createScope();
+        const second = provider.createScope();
+        first.writer.write("first");
+
+        expect(first.writer.write("second")).toStrictEqual(["first", "second"]);
+        expect(first.writer.bufferId).toBe(first.writer.bufferId);
+        expect(second.writer.bufferId).not.toBe(first.writer.bufferId);
+    });
+
+    it('should be able to set the transient mode per registration', () => {
+        let count = 0;
+        class Buffer {
+            id = ++count;
+        }
+        class Writer {
+            #services;
+            constructor(services) {
+                this.#services = services;
+            }
+
+            get bufferId() {
+                return this.#services.buffer.id;
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.transient({ buffer: Buffer }, { transientMode: { buffer: "per-injection" } }))
+            .register(m => m.singleton({ writer: Writer }));
+        const provider = container.prepare();
+
+        expect(provider.writer.bufferId).toBe(provider.writer.bufferId);
+    });
+
+    it('should dispose of injected instances after their dependent, along with the scope', () => {
+        /** @type {string[]} */
+        const disposed = [];
+        class Buffer {
+            [Symbol.dispose]() {
+                disposed.push("buffer");
+            }
+        }
+        class Writer {
+            #services;
+            constructor(services) {
+                this.#services = services;
+            }
+
+            get buffer() {
+                return this.#services.buffer;
+            }
+
+            [Symbol.dispose]() {
+                disposed.push("writer");
+            }
+        }
+
+        const container = fluxject({ transientMode: "per-injection" })
+            .register(m => m.transient({ buffer: Buffer }))
+            .register(m => m.scoped({ writer: Writer }));
+        const provider = container.prepare();
+        const scope = provider.createScope();
+        scope.writer.buffer;
+        scope.dispose();
+
+        expect(disposed).toStrictEqual(["writer", "buffer"]);
+    });
+
+    it('should await asynchronous disposals of injected instances with dispose', async () => {
+        /** @type {string[]} */
+        const disposed = [];
+        class AsyncBuffer {
+            id = 1;
+
+            async [Symbol.asyncDispose]() {
+                await new Promise(resolve => setTimeout(resolve, 5));
+                disposed.push("asyncBuffer");
+            }
+        }
+        class Writer {
+            #services;
+            constructor(services) {
+                this.#services = services;
+            }
+
+            get asyncBufferId() {
+                return this.#services.asyncBuffer.id;
+            }
+
+            [Symbol.dispose]() {
+                disposed.push("writer");
+            }
+        }
+
+        const container = fluxject({ transientMode: "per-injection" })
+            .register(m => m.transient({ asyncBuffer: AsyncBuffer }))
+            .register(m => m.singleton({ writer: Writer }));
+        const provider = container.prepare();
+        provider.writer.asyncBufferId;
+        await provider.dispose();
+
+        expect(disposed).toStrictEqual(["writer", "asyncBuffer"]);
+    });
+
+    it('should dispose of the injected instances of dependents that were not disposed of with the provider', async () => {
+        /** @type {string[]} */
+        const disposed = [];
+        class Buffer {
+            id = 1;
+
+            [Symbol.dispose]() {
+                disposed.push("buffer");
+            }
+        }
+        class Writer {
+            #services;
+            constructor(services) {
+                this.#services = services;
+            }
+
+            get bufferId() {
+                return this.#services.buffer.id;
+            }
+
+            [Symbol.dispose]() {
+                disposed.push("writer");
+            }
+        }
+
+        const container = fluxject({ transientMode: "per-injection" })
+            .register(m => m.transient({ buffer: Buffer, writer: Writer }, { transientMode: { writer: "per-access" } }));
+        const provider = container.prepare();
+        const handle = provider.create("writer");
+        handle.instance.bufferId;
+        provider.dispose();
+
+        expect(disposed).toStrictEqual(["buffer"]);
+    });
+
+    it('should dispose of the injected instances of per-access dependents after every access', () => {
+        /** @type {string[]} */
+        const disposed = [];
+        class Buffer {
+            id = 1;
+
+            [Symbol.dispose]() {
+                disposed.push("buffer");
+            }
+        }
+        class Writer {
+            #services;
+            constructor(services) {
+                this.#services = services;
+            }
+
+            get bufferId() {
+                return this.#services.buffer.id;
+            }
+
+            [Symbol.dispose]() {
+                disposed.push("writer");
+            }
+        }
+
+        const container = fluxject({ transientMode: "per-injection" })
+            .register(m => m.transient({ buffer: Buffer, writer: Writer }, { transientMode: { writer: "per-access" } }));
+        const provider = container.prepare();
+        provider.writer.bufferId;
+
+        expect(disposed).toStrictEqual(["writer", "buffer"]);
+    });
+
+    it('should not report per-injection Transient services injected into a singleton service as captive dependencies', () => {
+        class Clock {
+            now = 1;
+        }
+        class Scheduler {
+            constructor({ clock }) {
+                this.startedAt = clock.now;
+            }
+        }
+
+        const perInjection = fluxject({ captiveDependencies: "throw", transientMode: "per-injection" })
+            .register(m => m.transient({ clock: Clock }))
+            .register(m => m.singleton({ scheduler: Scheduler }))
+            .prepare();
+        const perAccess = fluxject({ captiveDependencies: "throw" })
+            .register(m => m.transient({ clock: Clock }))
+            .register(m => m.singleton({ scheduler: Scheduler }))
+            .prepare();
+
+        expect(perInjection.scheduler.startedAt).toBe(1);
+        expect(() => perAccess.scheduler.startedAt).toThrow(CaptiveDependencyError);
+    });
+});
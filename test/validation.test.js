@@ -0,0 +1,75 @@
+//@ts-check
+
+import { describe, it, expect } from 'vitest'
+import { fluxject, ContainerValidationError } from "../src/index.js";
+
+describe('validation', () => {
+    it('should not report any problems when all declared dependencies are registered', () => {
+        class Database { }
+        class Repository { }
+
+        const container = fluxject()
+            .register(m => m.singleton({ database: Database }))
+            .register(m => m.scoped({ repository: Repository }, { dependencies: { repository: ["database"] } }));
+
+        expect(container.validate()).toEqual([]);
+    });
+
+    it('should report declared dependencies that are not registered', () => {
+        class Repository { }
+
+        const container = fluxject()
+            .register(m => m.singleton({ repository: Repository }, { dependencies: { repository: ["databse"] } }));
+
+        const problems = container.validate();
+        expect(problems).toHaveLength(1);
+        expect(problems[0].type).toBe("missing");
+        expect(problems[0].service).toBe("repository");
+        expect(problems[0].message).toContain("databse");
+    });
+
+    it('should report cycles formed by declared dependencies', () => {
+        class A { }
+        class B { }
+        class C { }
+
+        const container = fluxject()
+            .register(m => m.singleton({ a: A, b: B, c: C }, { dependencies: { a: ["b"], b: ["c"], c: ["a"] } }));
+
+        const problems = container.validate();
+        expect(problems).toHaveLength(1);
+        expect(problems[0].type).toBe("cycle");
+        expect(problems[0].path).toEqual(["a", "b", "c", "a"]);
+    });
+
+    it('should report singleton and transient services that depend on scoped services', () => {
+        class Session { }
+        class Cache { }
+        class Formatter { }
+
+        const container = fluxject()
+            .register(m => m.scoped({ session: Session }))
+            .register(m => m.singleton({ cache: Cache }, { dependencies: { cache: ["session"] } }))
+            .register(m => m.transient({ formatter: Formatter }, { dependencies: { formatter: ["session"] } }));
+
+        const problems = container.validate();
+        expect(problems.map(problem => problem.type)).toEqual(["lifetime", "lifetime"]);
+        expect(problems.map(problem => problem.service)).toEqual(["cache", "formatter"]);
+    });
+
+    it('should throw ContainerValidationError when preparing with [validate] and problems were found', () => {
+        let isInstantiated = false;
+        class Repository {
+            constructor() {
+                isInstantiated = true;
+            }
+        }
+
+        const container = fluxject()
+            .register(m => m.singleton({ repository: Repository }, { dependencies: { repository: ["database"] } }));
+
+        expect(() => container.prepare({ validate: true })).toThrow(ContainerValidationError);
+        expect(() => container.prepare()).not.toThrow();
+        expect(isInstantiated).toBe(false);
+    });
+});
@@ -0,0 +1,91 @@
+//@ts-check
+
+import { describe, it, expect } from 'vitest'
+import { isPromise } from 'util/types';
+import { fluxject } from "../src/index.js";
+
+describe('values', () => {
+    it('should provide registered values as-is', () => {
+        const config = { port: 8080 };
+        class HttpClient {
+            get() {
+                return "response";
+            }
+        }
+        const httpClient = new HttpClient();
+
+        const provider = fluxject()
+            .register(m => m.value({ config, httpClient, name: "app" }))
+            .prepare();
+
+        expect(provider.config).toBe(config);
+        expect(provider.config.port).toBe(8080);
+        expect(provider.httpClient).toBe(httpClient);
+        expect(provider.httpClient.get()).toBe("response");
+        expect(provider.name).toBe("app");
+    });
+
+    it('should inject registered values into other services', () => {
+        class Server {
+            constructor({ config }) {
+                this.port = config.port;
+            }
+        }
+
+        const provider = fluxject()
+            .register(m => m.value({ config: { port: 8080 } }))
+            .register(m => m.scoped({ server: Server }))
+            .prepare();
+        const scope = provider.createScope();
+
+        expect(scope.server.port).toBe(8080);
+    });
+
+    it('should not dispose of registered values when [dispose] is called', async () => {
+        let isDisposed = false;
+        let isAsyncDisposed = false;
+        const client = {
+            [Symbol.dispose]() {
+                isDisposed = true;
+            },
+            async [Symbol.asyncDispose]() {
+                isAsyncDisposed = true;
+            }
+        };
+
+        const provider = fluxject()
+            .register(m => m.value({ client }))
+            .prepare();
+        const scope = provider.createScope();
+
+        expect(scope.client).toBe(client);
+        const result = provider.dispose();
+        expect(isPromise(result)).toBe(false);
+        expect(isDisposed).toBe(false);
+        expect(isAsyncDisposed).toBe(false);
+        expect(provider.client).toBeUndefined();
+    });
+
+    it('should not dispose of instances given to [withOverrides]', () => {
+        let isDisposed = false;
+        class Database {
+            [Symbol.dispose]() { }
+        }
+        const mockDatabase = {
+            [Symbol.dispose]() {
+                isDisposed = true;
+            }
+        };
+
+        const provider = fluxject()
+            .register(m => m.scoped({ database: Database }))
+            .prepare()
+            .withOverrides({ database: mockDatabase });
+        const scope = provider.createScope();
+
+        expect(scope.database).toBe(mockDatabase);
+        scope.dispose();
+        provider.dispose();
+        expect(isDisposed).toBe(false);
+    });
+});
@@ -1,7 +1,8 @@
 import { defineConfig } from 'tsup';
 export default defineConfig({
     entry: {
-        index: "./src/index.js"
+        index: "./src/index.js",
+        http: "./src/http.js"
     },
     outDir: 'dist',
     target: 'node22',